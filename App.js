@@ -1,26 +1,49 @@
-import React, { useState, useEffect } from 'react';
-import { SafeAreaView, ScrollView, View } from 'react-native';
+import React, { useState, useEffect, useRef } from 'react';
+import { SafeAreaView, ScrollView, View, Button } from 'react-native';
 import Constants from 'expo-constants';
-import { DEEPGRAM_API_KEY } from '@env';
+import { DEEPGRAM_API_KEY, LOCAL_ASR_URL, LOCAL_ASR_TOKEN } from '@env';
 
 // Components
 import Header from './components/Header';
 import StatusBar from './components/StatusBar';
 import OptionsPanel from './components/OptionsPanel';
+import VocabularyEditor from './components/VocabularyEditor';
 import Waveform from './components/Waveform';
 import Controls from './components/Controls';
 import Transcription from './components/Transcription';
 import DebugLogs from './components/DebugLogs';
 
+// Screens
+import LibraryScreen from './screens/LibraryScreen';
+import SessionScreen from './screens/SessionScreen';
+
 // Hooks
 import useAudioRecording from './hooks/useAudioRecording';
 import useDeepgram from './hooks/useDeepgram';
 import usePermissions from './hooks/usePermissions';
+import useVocabulary from './hooks/useVocabulary';
+import useSessionLibrary from './hooks/useSessionLibrary';
+import useAudioImport from './hooks/useAudioImport';
+import useTranscriptSearch from './hooks/useTranscriptSearch';
+import useSessionAnalysis from './hooks/useSessionAnalysis';
+
+// Services
+import { createSessionId } from './services/sessionStore';
 
 // Utilities
 import createLogger from './utils/logger';
+import { getLanguageLabel } from './utils/transcriptionOptions';
+import { QUALITY_ADVICE } from './utils/audioQuality';
+import { DEFAULT_STREAM_FORMAT } from './utils/audioFormat';
 import globalStyles from './styles/globalStyles';
 
+// Screens the app can show
+const SCREENS = {
+  RECORD: 'record',
+  LIBRARY: 'library',
+  SESSION: 'session',
+};
+
 /**
  * Main application component
  * 
@@ -31,6 +54,15 @@ export default function App() {
   const [logs, setLogs] = useState([]);
   const [showLogs, setShowLogs] = useState(false);
   
+  // Navigation
+  const [screen, setScreen] = useState(SCREENS.RECORD);
+  const [openSessionId, setOpenSessionId] = useState(null);
+  const [openSessionTime, setOpenSessionTime] = useState(null);
+  
+  // Details of the session being recorded, and of a finished one waiting to be saved
+  const sessionInfoRef = useRef(null);
+  const [finishedSession, setFinishedSession] = useState(null);
+  
   // Create logger
   const logger = createLogger(setLogs);
   
@@ -53,20 +85,69 @@ export default function App() {
   });
   
   const {
+    lists: vocabularyLists,
+    selectedList: selectedVocabularyList,
+    setSelectedListId: setSelectedVocabularyListId,
+    createList: createVocabularyList,
+    deleteList: deleteVocabularyList,
+    addTerm: addVocabularyTerm,
+    removeTerm: removeVocabularyTerm
+  } = useVocabulary({ logger });
+  
+  const {
+    sessions,
+    isLoading: isLibraryLoading,
+    saveSession,
+    deleteSession,
+    exportSession
+  } = useSessionLibrary({ logger });
+  
+  const { search, indexSegment, unindexSession } = useTranscriptSearch({ sessions });
+  
+  const {
+    transcript,
     transcription,
+    interimTranscription,
+    speakerTurns,
+    speakerNames,
+    detectedLanguage,
     isConnected,
+    reconnectAttempt,
     interimResults,
     setInterimResults,
     smartFormat,
     setSmartFormat,
     punctuate,
     setPunctuate,
+    diarize,
+    setDiarize,
+    redact,
+    setRedact,
+    model,
+    setModel,
+    language,
+    setLanguage,
+    provider,
+    setProvider,
     connectToDeepgram,
     disconnectFromDeepgram,
     sendAudioToDeepgram,
-    clearTranscription
+    sendKeepAlive,
+    transcribeFile,
+    analyzeFile,
+    clearTranscription,
+    renameSpeaker
   } = useDeepgram({
     apiKey: DEEPGRAM_API_KEY,
+    localUrl: LOCAL_ASR_URL,
+    localToken: LOCAL_ASR_TOKEN,
+    vocabulary: selectedVocabularyList ? selectedVocabularyList.terms : undefined,
+    // The session being recorded is searchable as soon as its results are final
+    onFinalSegment: (segment) => {
+      if (sessionInfoRef.current) {
+        indexSegment(sessionInfoRef.current, segment);
+      }
+    },
     logger
   });
   
@@ -74,11 +155,51 @@ export default function App() {
     isRecording,
     isLoading,
     status,
-    meteringValues,
+    levels,
+    waveform,
+    qualityIssues,
+    keepAudio,
+    setKeepAudio,
+    vadSettings,
+    setVadSettings,
+    isPaused,
+    pauses,
+    bookmarks,
     startRecording: startAudioRecording,
-    stopRecording: stopAudioRecording
+    stopRecording: stopAudioRecording,
+    pauseRecording,
+    resumeRecording,
+    addBookmark,
+    setBookmarkNote
   } = useAudioRecording({
     onAudioData: sendAudioToDeepgram,
+    onKeepAlive: sendKeepAlive,
+    logger
+  });
+  
+  // Transcription settings recorded with every session
+  const transcriptionOptions = {
+    provider,
+    model,
+    language,
+    punctuate,
+    smartFormat,
+    diarize,
+    redact,
+    vocabularyList: selectedVocabularyList ? selectedVocabularyList.name : null
+  };
+  
+  const { analyzingId, analysisError, analyzeSession } = useSessionAnalysis({
+    sessions,
+    analyzeFile,
+    saveSession,
+    logger
+  });
+  
+  const { isImporting, importError, importAudio } = useAudioImport({
+    transcribeFile,
+    saveSession,
+    sessionOptions: transcriptionOptions,
     logger
   });
   
@@ -88,19 +209,46 @@ export default function App() {
   const startRecording = async () => {
     logger.log('Starting recording session');
     
-    // Reset state
+    // Reset state; the previous session has already been saved to the library
     clearTranscription();
     setLogs([]);
     
-    // Connect to Deepgram
-    const connected = await connectToDeepgram();
+    // The format the stream converts captured audio to; the provider is told
+    // this same format, so what is announced is what is sent
+    const streamFormat = { ...DEFAULT_STREAM_FORMAT };
+    
+    const connected = await connectToDeepgram({ audioFormat: streamFormat });
     if (!connected) {
-      logger.log('Failed to connect to Deepgram, aborting');
+      logger.log('Failed to connect to transcription provider, aborting');
+      return;
+    }
+    
+    const startedAt = new Date();
+    sessionInfoRef.current = {
+      id: createSessionId(startedAt),
+      title: `Session ${startedAt.toLocaleString()}`,
+      startedAt: startedAt.toISOString(),
+      options: {
+        ...transcriptionOptions,
+        interimResults,
+        keepAudio,
+        skipSilence: vadSettings.enabled
+      }
+    };
+    
+    // Capture in the format the provider was told to expect
+    const audioFormat = await startAudioRecording({ audioFormat: streamFormat });
+    if (!audioFormat) {
+      // Nothing was recorded, so there is no session to finish or save
+      logger.log('Failed to start capture, closing the transcription connection');
+      unindexSession(sessionInfoRef.current.id);
+      sessionInfoRef.current = null;
+      await disconnectFromDeepgram();
       return;
     }
     
-    // Start recording
-    await startAudioRecording();
+    // Saved with the session as the format of the audio actually streamed
+    sessionInfoRef.current.audioFormat = audioFormat;
   };
   
   /**
@@ -110,17 +258,140 @@ export default function App() {
     logger.log('Stopping recording session');
     
     // Stop recording
-    await stopAudioRecording();
+    const {
+      audioUri,
+      stats,
+      pauses: sessionPauses,
+      bookmarks: sessionBookmarks,
+      waveform: sessionWaveform,
+      quality
+    } = await stopAudioRecording();
+    
+    // Disconnect once the last results are in
+    await disconnectFromDeepgram();
     
-    // Disconnect from Deepgram
-    disconnectFromDeepgram();
+    if (sessionInfoRef.current) {
+      const endedAt = new Date();
+      setFinishedSession({
+        ...sessionInfoRef.current,
+        endedAt: endedAt.toISOString(),
+        durationMs: endedAt.getTime() - new Date(sessionInfoRef.current.startedAt).getTime(),
+        stats,
+        pauses: sessionPauses,
+        bookmarks: sessionBookmarks,
+        quality,
+        // The level envelope is only needed to scrub through kept audio
+        ...(audioUri && { waveform: sessionWaveform }),
+        audioUri
+      });
+      sessionInfoRef.current = null;
+    }
   };
   
+  // Save a finished session once the transcript state includes its last results
+  useEffect(() => {
+    if (!finishedSession) {
+      return;
+    }
+    
+    const { audioUri, ...session } = finishedSession;
+    saveSession({ ...session, transcript }, { audioUri }).then((saved) => {
+      // Segments indexed while recording would point to a session that doesn't exist
+      if (!saved) {
+        unindexSession(session.id);
+      }
+    });
+    setFinishedSession(null);
+  }, [finishedSession, transcript]);
+  
+  /**
+   * Opens a saved session
+   * 
+   * @param {string} id - Session identifier
+   * @param {number|null} [time] - Point in the session to jump to, in seconds
+   */
+  const openSession = (id, time = null) => {
+    setOpenSessionId(id);
+    setOpenSessionTime(time);
+    setScreen(SCREENS.SESSION);
+  };
+  
+  /**
+   * Imports an audio file as a new session and opens it
+   */
+  const importSession = async () => {
+    const saved = await importAudio();
+    if (saved) {
+      openSession(saved.id);
+    }
+  };
+  
+  /**
+   * Deletes a saved session and returns to the library
+   * 
+   * @param {string} id - Session identifier
+   */
+  const removeSession = async (id) => {
+    await deleteSession(id);
+    setOpenSessionId(null);
+    setScreen(SCREENS.LIBRARY);
+  };
+  
+  const openedSession = sessions.find(session => session.id === openSessionId);
+  
+  if (screen === SCREENS.LIBRARY || (screen === SCREENS.SESSION && !openedSession)) {
+    return (
+      <SafeAreaView style={globalStyles.container}>
+        <ScrollView>
+          <LibraryScreen
+            sessions={sessions}
+            isLoading={isLibraryLoading}
+            onOpenSession={openSession}
+            onDeleteSession={deleteSession}
+            onSearch={search}
+            onImportAudio={importSession}
+            isImporting={isImporting}
+            importError={importError}
+            onBack={() => setScreen(SCREENS.RECORD)}
+          />
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+  
+  if (screen === SCREENS.SESSION) {
+    return (
+      <SafeAreaView style={globalStyles.container}>
+        <ScrollView>
+          <SessionScreen
+            session={openedSession}
+            startTime={openSessionTime}
+            onUpdateSession={saveSession}
+            onDeleteSession={removeSession}
+            onExportSession={exportSession}
+            onAnalyzeSession={analyzeSession}
+            isAnalyzing={analyzingId === openedSession.id}
+            analysisError={analysisError && analysisError.sessionId === openedSession.id
+              ? analysisError.message
+              : null}
+            onBack={() => setScreen(SCREENS.LIBRARY)}
+            logger={logger}
+          />
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+  
   // Current status info based on recording state
   const statusInfo = isRecording 
     ? 'Continuous streaming mode' 
     : 'Ready to record';
   
+  // Connection warning shown while the service restores a dropped socket
+  const connectionInfo = reconnectAttempt > 0
+    ? `Reconnecting (attempt ${reconnectAttempt})`
+    : null;
+  
   return (
     <SafeAreaView style={globalStyles.container}>
       <ScrollView>
@@ -131,6 +402,9 @@ export default function App() {
         <StatusBar 
           status={status} 
           info={statusInfo}
+          connectionInfo={connectionInfo}
+          detectedLanguage={detectedLanguage && getLanguageLabel(detectedLanguage)}
+          warnings={qualityIssues.map(issue => QUALITY_ADVICE[issue])}
         />
         
         <OptionsPanel
@@ -140,26 +414,74 @@ export default function App() {
           setSmartFormat={setSmartFormat}
           punctuate={punctuate}
           setPunctuate={setPunctuate}
+          diarize={diarize}
+          setDiarize={setDiarize}
+          redact={redact}
+          setRedact={setRedact}
+          model={model}
+          setModel={setModel}
+          language={language}
+          setLanguage={setLanguage}
+          provider={provider}
+          setProvider={setProvider}
+          localAsrAvailable={!!LOCAL_ASR_URL}
+          keepAudio={keepAudio}
+          setKeepAudio={setKeepAudio}
+          vadSettings={vadSettings}
+          setVadSettings={setVadSettings}
           showLogs={showLogs}
           setShowLogs={setShowLogs}
           isRecording={isRecording}
-        />
+        >
+          <VocabularyEditor
+            lists={vocabularyLists}
+            selectedList={selectedVocabularyList}
+            onSelectList={setSelectedVocabularyListId}
+            onCreateList={createVocabularyList}
+            onDeleteList={deleteVocabularyList}
+            onAddTerm={addVocabularyTerm}
+            onRemoveTerm={removeVocabularyTerm}
+            isRecording={isRecording}
+          />
+        </OptionsPanel>
         
         <Waveform 
-          meteringValues={meteringValues}
+          envelope={waveform}
+          levels={levels}
           isRecording={isRecording}
+          speechRegions={transcript.speechRegions}
         />
         
         <Controls
           isRecording={isRecording}
+          isPaused={isPaused}
           isLoading={isLoading}
           hasPermission={hasPermission}
           onStartRecording={startRecording}
           onStopRecording={stopRecording}
+          onPauseRecording={pauseRecording}
+          onResumeRecording={resumeRecording}
+          onAddBookmark={addBookmark}
+          onBookmarkNote={setBookmarkNote}
         />
         
+        <View style={{ marginBottom: 15 }}>
+          <Button
+            title={`Session Library (${sessions.length})`}
+            onPress={() => setScreen(SCREENS.LIBRARY)}
+            disabled={isRecording}
+          />
+        </View>
+        
         <Transcription 
           text={transcription}
+          interimText={interimTranscription}
+          speakerTurns={speakerTurns}
+          speakerNames={speakerNames}
+          onRenameSpeaker={renameSpeaker}
+          segments={transcript.segments}
+          pauses={pauses}
+          bookmarks={bookmarks}
         />
         
         <DebugLogs 
@@ -1,55 +1,156 @@
-import React from 'react';
-import { View, Button, ActivityIndicator, StyleSheet } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { View, Button, TextInput, ActivityIndicator, StyleSheet } from 'react-native';
 
 /**
  * Controls component that displays recording control buttons
  * 
  * @param {Object} props - Component props
  * @param {boolean} props.isRecording - Whether recording is in progress
+ * @param {boolean} props.isPaused - Whether the recording is paused
  * @param {boolean} props.isLoading - Whether operation is in progress
  * @param {boolean} props.hasPermission - Whether microphone permission is granted
  * @param {Function} props.onStartRecording - Function to start recording
  * @param {Function} props.onStopRecording - Function to stop recording
+ * @param {Function} props.onPauseRecording - Function to pause recording
+ * @param {Function} props.onResumeRecording - Function to resume a paused recording
+ * @param {Function} [props.onAddBookmark] - Function that drops a bookmark and returns it
+ * @param {Function} [props.onBookmarkNote] - Function called with (id, note) to attach a note to a bookmark
  * @returns {JSX.Element} Controls component
  */
 const Controls = ({
   isRecording,
+  isPaused,
   isLoading,
   hasPermission,
   onStartRecording,
-  onStopRecording
+  onStopRecording,
+  onPauseRecording,
+  onResumeRecording,
+  onAddBookmark,
+  onBookmarkNote
 }) => {
+  // Bookmark whose note is being typed
+  const [noteBookmarkId, setNoteBookmarkId] = useState(null);
+  const [note, setNote] = useState('');
+  
+  // A note can only be added while its session is recording
+  useEffect(() => {
+    if (!isRecording) {
+      setNoteBookmarkId(null);
+      setNote('');
+    }
+  }, [isRecording]);
+  
+  const handleBookmark = () => {
+    const bookmark = onAddBookmark();
+    if (bookmark) {
+      setNoteBookmarkId(bookmark.id);
+      setNote('');
+    }
+  };
+  
+  const saveNote = () => {
+    if (noteBookmarkId && note.trim()) {
+      onBookmarkNote(noteBookmarkId, note);
+    }
+    setNoteBookmarkId(null);
+    setNote('');
+  };
+  
+  // Keep a note that was typed but not saved yet
+  const handleStop = () => {
+    saveNote();
+    onStopRecording();
+  };
+  
   return (
-    <View style={styles.controls}>
-      {isLoading ? (
-        <ActivityIndicator size="large" color="#0000ff" />
-      ) : (
-        <>
-          {!isRecording ? (
-            <Button
-              title="Start Recording"
-              onPress={onStartRecording}
-              disabled={!hasPermission || isLoading}
-            />
-          ) : (
-            <Button
-              title="Stop Recording"
-              onPress={onStopRecording}
-              color="red"
-              disabled={isLoading}
-            />
-          )}
-        </>
+    <View style={styles.container}>
+      <View style={styles.controls}>
+        {isLoading ? (
+          <ActivityIndicator size="large" color="#0000ff" />
+        ) : (
+          <>
+            {!isRecording ? (
+              <Button
+                title="Start Recording"
+                onPress={onStartRecording}
+                disabled={!hasPermission || isLoading}
+              />
+            ) : (
+              <>
+                <View style={styles.button}>
+                  <Button
+                    title={isPaused ? 'Resume' : 'Pause'}
+                    onPress={isPaused ? onResumeRecording : onPauseRecording}
+                    disabled={isLoading}
+                  />
+                </View>
+                {!!onAddBookmark && (
+                  <View style={styles.button}>
+                    <Button
+                      title="Bookmark"
+                      onPress={handleBookmark}
+                      disabled={isLoading}
+                    />
+                  </View>
+                )}
+                <View style={styles.button}>
+                  <Button
+                    title="Stop Recording"
+                    onPress={handleStop}
+                    color="red"
+                    disabled={isLoading}
+                  />
+                </View>
+              </>
+            )}
+          </>
+        )}
+      </View>
+      
+      {isRecording && noteBookmarkId && (
+        <View style={styles.noteRow}>
+          <TextInput
+            style={styles.noteInput}
+            placeholder="Note for this bookmark (optional)"
+            value={note}
+            onChangeText={setNote}
+            onSubmitEditing={saveNote}
+            returnKeyType="done"
+            autoFocus
+          />
+          <Button title={note.trim() ? 'Save' : 'Skip'} onPress={saveNote} />
+        </View>
       )}
     </View>
   );
 };
 
 const styles = StyleSheet.create({
+  container: {
+    marginBottom: 15,
+  },
   controls: {
     flexDirection: 'row',
     justifyContent: 'center',
-    marginBottom: 15,
+  },
+  button: {
+    marginHorizontal: 5,
+  },
+  noteRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  noteInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    paddingVertical: 5,
+    paddingHorizontal: 8,
+    backgroundColor: '#f9f9f9',
+    marginRight: 8,
   },
 });
 
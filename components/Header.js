@@ -7,13 +7,15 @@ import { View, Text, StyleSheet } from 'react-native';
  * @param {Object} props - Component props
  * @param {string} props.title - The main title text
  * @param {string} [props.subtitle] - Optional subtitle text
+ * @param {React.ReactNode} [props.children] - Optional content shown under the titles
  * @returns {JSX.Element} Header component
  */
-const Header = ({ title, subtitle }) => {
+const Header = ({ title, subtitle, children }) => {
   return (
     <View style={styles.header}>
       <Text style={styles.title}>{title}</Text>
       {subtitle && <Text style={styles.subtitle}>{subtitle}</Text>}
+      {children}
     </View>
   );
 };
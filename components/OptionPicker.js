@@ -0,0 +1,75 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+
+/**
+ * OptionPicker component displays a labelled row of selectable chips
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.label - Label shown above the choices
+ * @param {Array<Object>} props.options - Choices as { value, label } objects
+ * @param {string} props.value - Currently selected value
+ * @param {Function} props.onChange - Function called with the selected value
+ * @param {boolean} [props.disabled] - Whether selection is disabled
+ * @returns {JSX.Element} OptionPicker component
+ */
+const OptionPicker = ({ label, options, value, onChange, disabled = false }) => {
+  return (
+    <View style={styles.pickerContainer}>
+      <Text>{label}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.choices}>
+        {options.map(option => {
+          const isSelected = option.value === value;
+          return (
+            <TouchableOpacity
+              key={option.value}
+              style={[
+                styles.chip,
+                isSelected && styles.chipSelected,
+                disabled && styles.chipDisabled
+              ]}
+              onPress={() => onChange(option.value)}
+              disabled={disabled}
+            >
+              <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  pickerContainer: {
+    marginBottom: 8,
+  },
+  choices: {
+    marginTop: 5,
+  },
+  chip: {
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#007bff',
+    backgroundColor: 'white',
+  },
+  chipSelected: {
+    backgroundColor: '#007bff',
+  },
+  chipDisabled: {
+    opacity: 0.5,
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#007bff',
+  },
+  chipTextSelected: {
+    color: 'white',
+  },
+});
+
+export default OptionPicker;
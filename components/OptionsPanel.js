@@ -1,5 +1,9 @@
 import React from 'react';
 import { View, Text, Switch, StyleSheet } from 'react-native';
+import OptionPicker from './OptionPicker';
+import { PROVIDERS } from '../services/providerFactory';
+import { MODELS, getLanguagesForModel } from '../utils/transcriptionOptions';
+import { VAD_THRESHOLDS, VAD_HANGOVERS, VAD_PRE_ROLLS } from '../utils/voiceActivityDetector';
 
 /**
  * OptionsPanel component displays configuration toggles for Deepgram settings
@@ -11,9 +15,25 @@ import { View, Text, Switch, StyleSheet } from 'react-native';
  * @param {Function} props.setSmartFormat - Function to toggle smart formatting
  * @param {boolean} props.punctuate - Whether to add punctuation
  * @param {Function} props.setPunctuate - Function to toggle punctuation
+ * @param {boolean} props.diarize - Whether to label the transcript by speaker
+ * @param {Function} props.setDiarize - Function to toggle speaker diarization
+ * @param {boolean} props.redact - Whether to redact card numbers, SSNs and phone numbers
+ * @param {Function} props.setRedact - Function to toggle redaction
+ * @param {string} props.model - Selected Deepgram model
+ * @param {Function} props.setModel - Function to change the model
+ * @param {string} props.language - Selected language code, or `multi` to auto-detect
+ * @param {Function} props.setLanguage - Function to change the language
+ * @param {string} props.provider - Selected transcription provider
+ * @param {Function} props.setProvider - Function to change the transcription provider
+ * @param {boolean} props.localAsrAvailable - Whether a local ASR server URL is configured
+ * @param {boolean} props.keepAudio - Whether to keep the session audio as one WAV file
+ * @param {Function} props.setKeepAudio - Function to toggle keeping session audio
+ * @param {Object} props.vadSettings - Voice activity detection settings (enabled, thresholdDb, hangoverMs, preRollMs)
+ * @param {Function} props.setVadSettings - Function to change the voice activity detection settings
  * @param {boolean} props.showLogs - Whether to show debug logs
  * @param {Function} props.setShowLogs - Function to toggle debug logs
  * @param {boolean} props.isRecording - Whether recording is in progress
+ * @param {React.ReactNode} [props.children] - Additional option editors shown above the debug toggle
  * @returns {JSX.Element} OptionsPanel component
  */
 const OptionsPanel = ({
@@ -23,14 +43,46 @@ const OptionsPanel = ({
   setSmartFormat,
   punctuate,
   setPunctuate,
+  diarize,
+  setDiarize,
+  redact,
+  setRedact,
+  model,
+  setModel,
+  language,
+  setLanguage,
+  provider,
+  setProvider,
+  localAsrAvailable,
+  keepAudio,
+  setKeepAudio,
+  vadSettings,
+  setVadSettings,
   showLogs,
   setShowLogs,
-  isRecording
+  isRecording,
+  children
 }) => {
   return (
     <View style={styles.optionsContainer}>
       <Text style={styles.optionsTitle}>Transcription Options:</Text>
       
+      <OptionPicker
+        label="Model"
+        options={MODELS}
+        value={model}
+        onChange={setModel}
+        disabled={isRecording}
+      />
+      
+      <OptionPicker
+        label="Language"
+        options={getLanguagesForModel(model)}
+        value={language}
+        onChange={setLanguage}
+        disabled={isRecording}
+      />
+      
       <View style={styles.optionRow}>
         <Text>Interim Results</Text>
         <Switch
@@ -58,6 +110,81 @@ const OptionsPanel = ({
         />
       </View>
       
+      <View style={styles.optionRow}>
+        <Text>Diarize (Label Speakers)</Text>
+        <Switch
+          value={diarize}
+          onValueChange={setDiarize}
+          disabled={isRecording}
+        />
+      </View>
+      
+      <View style={styles.optionRow}>
+        <Text>Redact PII (Cards, SSNs, Phone Numbers)</Text>
+        <Switch
+          value={redact}
+          onValueChange={setRedact}
+          disabled={isRecording}
+        />
+      </View>
+      
+      {localAsrAvailable && (
+        <View style={styles.optionRow}>
+          <Text>Use Local ASR Server</Text>
+          <Switch
+            value={provider === PROVIDERS.LOCAL}
+            onValueChange={(value) => setProvider(value ? PROVIDERS.LOCAL : PROVIDERS.DEEPGRAM)}
+            disabled={isRecording}
+          />
+        </View>
+      )}
+      
+      <View style={styles.optionRow}>
+        <Text>Keep Session Audio</Text>
+        <Switch
+          value={keepAudio}
+          onValueChange={setKeepAudio}
+          disabled={isRecording}
+        />
+      </View>
+      
+      <View style={styles.optionRow}>
+        <Text>Skip Silence (VAD)</Text>
+        <Switch
+          value={vadSettings.enabled}
+          onValueChange={(enabled) => setVadSettings({ ...vadSettings, enabled })}
+          disabled={isRecording}
+        />
+      </View>
+      
+      {vadSettings.enabled && (
+        <>
+          <OptionPicker
+            label="Speech threshold"
+            options={VAD_THRESHOLDS}
+            value={vadSettings.thresholdDb}
+            onChange={(thresholdDb) => setVadSettings({ ...vadSettings, thresholdDb })}
+            disabled={isRecording}
+          />
+          <OptionPicker
+            label="Keep sending after speech"
+            options={VAD_HANGOVERS}
+            value={vadSettings.hangoverMs}
+            onChange={(hangoverMs) => setVadSettings({ ...vadSettings, hangoverMs })}
+            disabled={isRecording}
+          />
+          <OptionPicker
+            label="Pre-roll before speech"
+            options={VAD_PRE_ROLLS}
+            value={vadSettings.preRollMs}
+            onChange={(preRollMs) => setVadSettings({ ...vadSettings, preRollMs })}
+            disabled={isRecording}
+          />
+        </>
+      )}
+      
+      {children}
+      
       <View style={styles.optionRow}>
         <Text>Show Debug Logs</Text>
         <Switch
@@ -0,0 +1,81 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { SENTIMENT_COLORS } from '../utils/audioIntelligence';
+
+/**
+ * SessionAnalysis shows the audio intelligence results of a session: its
+ * summary, topic and intent chips and overall sentiment
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.analysis - Analysis as { summary, topics, intents, sentiment }
+ * @returns {JSX.Element} SessionAnalysis component
+ */
+const SessionAnalysis = ({ analysis }) => {
+  const { summary, topics = [], intents = [], sentiment } = analysis;
+  
+  const renderChips = (labels, chipStyle) => (
+    <View style={styles.chips}>
+      {labels.map(({ label }) => (
+        <View key={label} style={[styles.chip, chipStyle]}>
+          <Text style={styles.chipText}>{label}</Text>
+        </View>
+      ))}
+    </View>
+  );
+  
+  return (
+    <View style={styles.container}>
+      {!!summary && <Text style={styles.summary}>{summary}</Text>}
+      {topics.length > 0 && renderChips(topics, styles.topicChip)}
+      {intents.length > 0 && renderChips(intents, styles.intentChip)}
+      {!!sentiment && (
+        <Text style={styles.sentiment}>
+          Overall sentiment:{' '}
+          <Text style={{ color: SENTIMENT_COLORS[sentiment.sentiment] }}>{sentiment.sentiment}</Text>
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 10,
+  },
+  summary: {
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#333',
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 4,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 15,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  topicChip: {
+    backgroundColor: '#cce5ff',
+  },
+  intentChip: {
+    backgroundColor: '#e2e3e5',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  sentiment: {
+    fontSize: 13,
+    textAlign: 'center',
+    color: '#666',
+  },
+});
+
+export default SessionAnalysis;
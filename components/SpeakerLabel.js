@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+
+/**
+ * SpeakerLabel component shows a speaker name that can be renamed by tapping it
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.label - Current display name of the speaker
+ * @param {Function} [props.onRename] - Function called with the new name; renaming is disabled without it
+ * @returns {JSX.Element} SpeakerLabel component
+ */
+const SpeakerLabel = ({ label, onRename }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(label);
+  
+  const startEditing = () => {
+    setDraft(label);
+    setIsEditing(true);
+  };
+  
+  const finishEditing = () => {
+    setIsEditing(false);
+    if (draft !== label) {
+      onRename(draft);
+    }
+  };
+  
+  if (isEditing) {
+    return (
+      <TextInput
+        style={styles.input}
+        value={draft}
+        onChangeText={setDraft}
+        onSubmitEditing={finishEditing}
+        onBlur={finishEditing}
+        autoFocus
+        selectTextOnFocus
+        returnKeyType="done"
+      />
+    );
+  }
+  
+  return (
+    <TouchableOpacity onPress={startEditing} disabled={!onRename}>
+      <Text style={styles.label}>{label}:</Text>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  label: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#007bff',
+    marginBottom: 2,
+  },
+  input: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    borderBottomWidth: 1,
+    borderColor: '#007bff',
+    paddingVertical: 2,
+    marginBottom: 2,
+  },
+});
+
+export default SpeakerLabel;
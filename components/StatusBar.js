@@ -7,13 +7,23 @@ import { View, Text, StyleSheet } from 'react-native';
  * @param {Object} props - Component props
  * @param {string} props.status - The current status text
  * @param {string} [props.info] - Additional information about the status
+ * @param {string} [props.connectionInfo] - Connection problem to highlight, e.g. while reconnecting
+ * @param {string} [props.detectedLanguage] - Language detected in the speech, when auto-detecting
+ * @param {Array<string>} [props.warnings] - Problems with the input and what to do about them
  * @returns {JSX.Element} StatusBar component
  */
-const StatusBar = ({ status, info }) => {
+const StatusBar = ({ status, info, connectionInfo, detectedLanguage, warnings = [] }) => {
   return (
     <View style={styles.statusContainer}>
       <Text style={styles.statusText}>Status: {status}</Text>
       {info && <Text style={styles.statusInfo}>{info}</Text>}
+      {connectionInfo && <Text style={styles.connectionInfo}>{connectionInfo}</Text>}
+      {detectedLanguage && (
+        <Text style={styles.statusInfo}>Detected language: {detectedLanguage}</Text>
+      )}
+      {warnings.map(warning => (
+        <Text key={warning} style={styles.warning}>{warning}</Text>
+      ))}
     </View>
   );
 };
@@ -35,6 +45,19 @@ const styles = StyleSheet.create({
     marginTop: 5,
     color: '#666',
   },
+  connectionInfo: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 5,
+    color: '#dc3545',
+    fontWeight: 'bold',
+  },
+  warning: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 5,
+    color: '#856404',
+  },
 });
 
 export default StatusBar; 
\ No newline at end of file
@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TextInput, Button, StyleSheet } from 'react-native';
+import OptionPicker from './OptionPicker';
+import { getSpeakerLabel } from '../utils/transcriptModel';
+import { getSpeakers } from '../utils/transcriptEditing';
+import { getSentimentBetween, SENTIMENT_COLORS } from '../utils/audioIntelligence';
+import { formatDuration } from '../utils/formatTime';
+
+/**
+ * One editable segment: its text, speaker and split/merge actions
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.segment - Segment to edit
+ * @param {boolean} props.hasNext - Whether there is a later segment to merge with
+ * @param {Array<Object>} props.speakerOptions - Speaker choices as { value, label }
+ * @param {Object|null} props.sentiment - Sentiment of the segment as { sentiment, score }, if analyzed
+ * @param {Function} props.onCorrect - Function called with (id, text)
+ * @param {Function} props.onSplit - Function called with (id, text, cursor position)
+ * @param {Function} props.onMerge - Function called with (id, text)
+ * @param {Function} props.onSetSpeaker - Function called with (id, speaker)
+ * @returns {JSX.Element} SegmentEditor component
+ */
+const SegmentEditor = ({
+  segment,
+  hasNext,
+  speakerOptions,
+  sentiment,
+  onCorrect,
+  onSplit,
+  onMerge,
+  onSetSpeaker
+}) => {
+  const [draft, setDraft] = useState(segment.transcript);
+  const selectionRef = useRef({ start: 0, end: 0 });
+  
+  // Start again from the saved text whenever it changes, e.g. after a merge
+  useEffect(() => {
+    setDraft(segment.transcript);
+  }, [segment.transcript]);
+  
+  // A segment with several speakers has none selected
+  const speakers = new Set(segment.words.map(word => word.speaker));
+  const speaker = speakers.size === 1 ? [...speakers][0] : null;
+  
+  const commit = () => {
+    if (draft !== segment.transcript) {
+      onCorrect(segment.id, draft);
+    }
+  };
+  
+  return (
+    <View style={styles.segment}>
+      <Text style={styles.segmentTime}>
+        {formatDuration(segment.start)} – {formatDuration(segment.end)}
+        {segment.edited ? ' · edited' : ''}
+        {!!sentiment && (
+          <Text style={{ color: SENTIMENT_COLORS[sentiment.sentiment] }}> · {sentiment.sentiment}</Text>
+        )}
+      </Text>
+      
+      {speakerOptions.length > 0 && (
+        <OptionPicker
+          label="Speaker"
+          options={speakerOptions}
+          value={speaker}
+          onChange={(value) => onSetSpeaker(segment.id, value)}
+        />
+      )}
+      
+      <TextInput
+        style={styles.input}
+        value={draft}
+        onChangeText={setDraft}
+        onSelectionChange={(event) => {
+          selectionRef.current = event.nativeEvent.selection;
+        }}
+        onBlur={commit}
+        multiline
+      />
+      
+      <View style={styles.actions}>
+        <Button
+          title="Split at cursor"
+          onPress={() => onSplit(segment.id, draft, selectionRef.current.start)}
+          disabled={segment.words.length < 2}
+        />
+        <Button
+          title="Merge with next"
+          onPress={() => onMerge(segment.id, draft)}
+          disabled={!hasNext}
+        />
+      </View>
+    </View>
+  );
+};
+
+/**
+ * TranscriptEditor lists the segments of a transcript for correction. Word
+ * timings are kept aligned by the edit functions in transcriptEditing.
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.transcript - Transcript to edit
+ * @param {Array<Object>} [props.sentiments] - Scored stretches as { start, end, score }, shown per segment
+ * @param {Function} props.onCorrect - Function called with (id, text) when a segment's text is corrected
+ * @param {Function} props.onSplit - Function called with (id, text, cursor position) to split a segment
+ * @param {Function} props.onMerge - Function called with (id, text) to merge a segment with the next one
+ * @param {Function} props.onSetSpeaker - Function called with (id, speaker) to reassign a segment
+ * @returns {JSX.Element} TranscriptEditor component
+ */
+const TranscriptEditor = ({ transcript, sentiments = [], onCorrect, onSplit, onMerge, onSetSpeaker }) => {
+  const { segments, speakerNames } = transcript;
+  
+  // Diarized transcripts can move segments to any speaker, or to a new one
+  const speakers = getSpeakers(transcript);
+  const speakerOptions = speakers.length > 0
+    ? [
+      ...speakers.map(speaker => ({ value: speaker, label: getSpeakerLabel(speakerNames, speaker) })),
+      { value: speakers[speakers.length - 1] + 1, label: 'New speaker' },
+    ]
+    : [];
+  
+  return (
+    <View style={styles.editorContainer}>
+      <Text style={styles.editorLabel}>Edit transcript:</Text>
+      <Text style={styles.editorHint}>
+        Changes are saved when a box loses focus. Words you keep stay at their original times.
+      </Text>
+      {segments.length === 0 && <Text style={styles.editorHint}>There is no text to edit.</Text>}
+      {segments.map((segment, index) => (
+        <SegmentEditor
+          key={segment.id}
+          segment={segment}
+          hasNext={segments.some((other, i) => i > index && other.channel === segment.channel)}
+          speakerOptions={speakerOptions}
+          sentiment={getSentimentBetween(sentiments, segment.start, segment.end)}
+          onCorrect={onCorrect}
+          onSplit={onSplit}
+          onMerge={onMerge}
+          onSetSpeaker={onSetSpeaker}
+        />
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  editorContainer: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 15,
+  },
+  editorLabel: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 5,
+    color: '#333',
+  },
+  editorHint: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 10,
+  },
+  segment: {
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  segmentTime: {
+    fontSize: 13,
+    color: '#888',
+    marginBottom: 5,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    paddingVertical: 5,
+    paddingHorizontal: 8,
+    backgroundColor: '#f9f9f9',
+    fontSize: 16,
+    lineHeight: 24,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 5,
+  },
+});
+
+export default TranscriptEditor;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+
+/**
+ * TranscriptWords renders a run of transcript words as inline text, with the
+ * word currently playing highlighted and every word tappable.
+ *
+ * It only re-renders when its own props change, so while audio plays just
+ * the run holding the highlighted word is redrawn.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.words - Words with punctuatedWord, start and end
+ * @param {number} [props.activeIndex] - Index of the highlighted word, or -1 for none
+ * @param {Function} [props.onWordPress] - Function called with the word that was tapped
+ * @returns {JSX.Element} TranscriptWords component
+ */
+const TranscriptWords = ({ words, activeIndex = -1, onWordPress }) => (
+  <Text>
+    {words.map((word, index) => (
+      <React.Fragment key={`${index}-${word.start}`}>
+        {index > 0 && ' '}
+        <Text
+          style={index === activeIndex && styles.activeWord}
+          onPress={onWordPress && (() => onWordPress(word))}
+        >
+          {word.punctuatedWord}
+        </Text>
+      </React.Fragment>
+    ))}
+  </Text>
+);
+
+const styles = StyleSheet.create({
+  activeWord: {
+    backgroundColor: '#cce5ff',
+    color: '#004085',
+  },
+});
+
+export default React.memo(TranscriptWords);
@@ -1,22 +1,238 @@
-import React from 'react';
+import React, { useRef, useEffect, useCallback } from 'react';
 import { View, Text, StyleSheet, ScrollView } from 'react-native';
+import SpeakerLabel from './SpeakerLabel';
+import TranscriptWords from './TranscriptWords';
+import {
+  getSpeakerLabel,
+  getSegmentsText,
+  splitAtMarkers,
+  getParagraphs,
+  findWordIndexAt
+} from '../utils/transcriptModel';
+import { getSentimentBetween, SENTIMENT_COLORS } from '../utils/audioIntelligence';
+import { formatDuration } from '../utils/formatTime';
 
 /**
  * Transcription component displays the transcribed speech text
  * 
  * @param {Object} props - Component props
- * @param {string} props.text - The transcription text to display
+ * @param {string} props.text - The committed transcription text to display
+ * @param {string} [props.interimText] - Interim text that may still change
+ * @param {Array<Object>} [props.speakerTurns] - Speaker turns; when present they replace the plain text
+ * @param {Object} [props.speakerNames] - Map of speaker index to custom name
+ * @param {Function} [props.onRenameSpeaker] - Function called with (speaker, name) when a label is renamed
+ * @param {Array<Object>} [props.segments] - Transcript segments, needed to place pause markers in plain text
+ * @param {Array<Object>} [props.pauses] - Pauses as { time, durationMs }, shown as markers in the text
+ * @param {Array<Object>} [props.bookmarks] - Bookmarks as { id, time, note }, shown as markers in the text
+ * @param {Function} [props.onBookmarkPress] - Function called with a tapped bookmark marker
+ * @param {Array<Object>} [props.sentiments] - Scored stretches as { start, end, score }; each
+ *   segment or speaker turn is marked with its sentiment
+ * @param {number|null} [props.activeTime] - Playback position in seconds; the word spoken then is highlighted
+ * @param {Function} [props.onWordPress] - Function called with a tapped word; when set, the
+ *   transcript is rendered word by word from the segments
+ * @param {Object|null} [props.focus] - Point to scroll the transcript to as { time } in seconds, e.g.
+ *   a search match; passing a new object scrolls again, even to the same time
  * @returns {JSX.Element} Transcription component
  */
-const Transcription = ({ text }) => {
+const Transcription = ({
+  text,
+  interimText,
+  speakerTurns = [],
+  speakerNames = {},
+  onRenameSpeaker,
+  segments,
+  pauses = [],
+  bookmarks = [],
+  onBookmarkPress,
+  sentiments = [],
+  activeTime = null,
+  onWordPress,
+  focus = null
+}) => {
+  const hasText = !!(text || interimText);
+  const hasTurns = speakerTurns.length > 0;
+  const showMarkers = pauses.length + bookmarks.length > 0 && (hasTurns || !!segments);
+  const showWords = !!onWordPress && (hasTurns || !!segments);
+  
+  const scrollViewRef = useRef(null);
+  // Offset and start time of each turn or paragraph, keyed by start time
+  const blockLayoutsRef = useRef(new Map());
+  // Focus time still to scroll to once the blocks have been laid out
+  const pendingFocusRef = useRef(null);
+  
+  const scrollToFocus = useCallback(() => {
+    const time = pendingFocusRef.current;
+    if (time === null || !scrollViewRef.current) {
+      return;
+    }
+    
+    // The last block starting at or before the focus time contains it
+    let target = null;
+    blockLayoutsRef.current.forEach(block => {
+      if (block.start <= time && (!target || block.start > target.start)) {
+        target = block;
+      }
+    });
+    
+    if (target) {
+      scrollViewRef.current.scrollTo({ y: target.y, animated: false });
+      pendingFocusRef.current = null;
+    }
+  }, []);
+  
+  useEffect(() => {
+    pendingFocusRef.current = focus ? focus.time : null;
+    scrollToFocus();
+  }, [focus, scrollToFocus]);
+  
+  const handleBlockLayout = (start) => (event) => {
+    blockLayoutsRef.current.set(start, { start, y: event.nativeEvent.layout.y });
+  };
+  
+  const renderWords = (words) => (
+    <TranscriptWords
+      words={words}
+      activeIndex={activeTime === null ? -1 : findWordIndexAt(words, activeTime)}
+      onWordPress={onWordPress}
+    />
+  );
+  
+  const renderSentiment = (start, end) => {
+    const result = sentiments.length > 0 ? getSentimentBetween(sentiments, start, end) : null;
+    return !!result && (
+      <Text
+        style={{ color: SENTIMENT_COLORS[result.sentiment] }}
+        accessibilityLabel={`${result.sentiment} sentiment`}
+      >
+        ●{' '}
+      </Text>
+    );
+  };
+  
+  const renderTurns = (turns) => turns.map((turn, index) => (
+    <View
+      key={`turn-${index}-${turn.start}`}
+      style={styles.turn}
+      onLayout={handleBlockLayout(turn.start)}
+    >
+      <SpeakerLabel
+        label={getSpeakerLabel(speakerNames, turn.speaker)}
+        onRename={onRenameSpeaker && ((name) => onRenameSpeaker(turn.speaker, name))}
+      />
+      <Text style={styles.transcriptionText}>
+        {renderSentiment(turn.start, turn.end)}
+        {showWords ? renderWords(turn.words) : turn.text}
+      </Text>
+    </View>
+  ));
+  
+  // Segments without word timings (e.g. from a server that omits them) are shown as plain text
+  const renderParagraph = (paragraph) => (
+    <View
+      key={`paragraph-${paragraph.start}`}
+      style={styles.paragraph}
+      onLayout={handleBlockLayout(paragraph.start)}
+    >
+      <Text style={styles.transcriptionText}>
+        {paragraph.segments.filter(segment => segment.transcript.trim()).map((segment, index) => (
+          <React.Fragment key={segment.id}>
+            {index > 0 && ' '}
+            {renderSentiment(segment.start, segment.end)}
+            {segment.words.length > 0 ? renderWords(segment.words) : segment.transcript.trim()}
+          </React.Fragment>
+        ))}
+      </Text>
+    </View>
+  );
+  
+  const renderSegments = (items) => (showWords
+    ? getParagraphs(items).map(renderParagraph)
+    : <Text style={styles.transcriptionText}>{getSegmentsText(items)}</Text>
+  );
+  
+  const renderPause = (pause) => (
+    <Text style={styles.pauseMarker}>
+      Paused at {formatDuration(pause.time)}
+      {typeof pause.durationMs === 'number' ? ` for ${formatDuration(pause.durationMs / 1000)}` : ''}
+    </Text>
+  );
+  
+  const renderBookmark = (bookmark) => (
+    <Text
+      style={styles.bookmarkMarker}
+      onPress={onBookmarkPress && (() => onBookmarkPress(bookmark))}
+    >
+      Bookmark at {formatDuration(bookmark.time)}{bookmark.note ? `: ${bookmark.note}` : ''}
+    </Text>
+  );
+  
+  const renderMarker = (marker) => (
+    marker.kind === 'bookmark' ? renderBookmark(marker.bookmark) : renderPause(marker.pause)
+  );
+  
+  const renderInterim = () => !!interimText && (
+    <Text style={[styles.transcriptionText, styles.interimText]}>
+      {interimText}
+    </Text>
+  );
+  
+  let content;
+  if (showMarkers) {
+    const markers = [
+      ...pauses.map(pause => ({ kind: 'pause', time: pause.time, pause })),
+      ...bookmarks.map(bookmark => ({ kind: 'bookmark', time: bookmark.time, bookmark })),
+    ];
+    content = (
+      <>
+        {splitAtMarkers(hasTurns ? speakerTurns : segments, markers).map((group, index) => (
+          // Fragments keep every turn or paragraph a direct child of the scrolled content
+          <React.Fragment key={`group-${index}`}>
+            {hasTurns ? renderTurns(group.items) : (
+              group.items.length > 0 && renderSegments(group.items)
+            )}
+            {group.marker && renderMarker(group.marker)}
+          </React.Fragment>
+        ))}
+        {renderInterim()}
+      </>
+    );
+  } else if (hasTurns) {
+    content = (
+      <>
+        {renderTurns(speakerTurns)}
+        {renderInterim()}
+      </>
+    );
+  } else if (showWords && hasText) {
+    content = (
+      <>
+        {renderSegments(segments)}
+        {renderInterim()}
+      </>
+    );
+  } else {
+    content = (
+      <Text style={styles.transcriptionText}>
+        {hasText ? text : 'Speak to see transcription here...'}
+        {!!interimText && (
+          <Text style={styles.interimText}>
+            {text ? ' ' : ''}{interimText}
+          </Text>
+        )}
+      </Text>
+    );
+  }
+  
   return (
     <View style={styles.transcriptionContainer}>
       <Text style={styles.transcriptionLabel}>Transcription:</Text>
-      <ScrollView style={styles.transcriptionScrollView}>
+      <ScrollView
+        ref={scrollViewRef}
+        style={styles.transcriptionScrollView}
+        onContentSizeChange={scrollToFocus}
+      >
         <View style={styles.transcriptionTextContainer}>
-          <Text style={styles.transcriptionText}>
-            {text || 'Speak to see transcription here...'}
-          </Text>
+          {content}
         </View>
       </ScrollView>
     </View>
@@ -56,6 +272,33 @@ const styles = StyleSheet.create({
     fontSize: 16,
     lineHeight: 24,
   },
+  interimText: {
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  turn: {
+    marginBottom: 10,
+  },
+  paragraph: {
+    marginBottom: 10,
+  },
+  pauseMarker: {
+    marginVertical: 8,
+    textAlign: 'center',
+    fontSize: 13,
+    color: '#888',
+    fontStyle: 'italic',
+  },
+  bookmarkMarker: {
+    marginVertical: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    fontSize: 13,
+    color: '#004085',
+    backgroundColor: '#cce5ff',
+    borderRadius: 5,
+    overflow: 'hidden',
+  },
 });
 
 export default Transcription; 
\ No newline at end of file
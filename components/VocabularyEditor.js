@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, Button, TouchableOpacity, StyleSheet } from 'react-native';
+import OptionPicker from './OptionPicker';
+
+const NO_LIST = 'none';
+
+/**
+ * VocabularyEditor component lets users manage named lists of terms that are
+ * boosted during transcription and pick the list used for the next session
+ * 
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.lists - Saved lists as { id, name, terms }
+ * @param {Object|null} props.selectedList - List used for the next session
+ * @param {Function} props.onSelectList - Function called with a list id, or null for none
+ * @param {Function} props.onCreateList - Function called with the name of a new list
+ * @param {Function} props.onDeleteList - Function called with the id of a list to delete
+ * @param {Function} props.onAddTerm - Function called with (listId, term, boost)
+ * @param {Function} props.onRemoveTerm - Function called with (listId, term)
+ * @param {boolean} props.isRecording - Whether recording is in progress
+ * @returns {JSX.Element} VocabularyEditor component
+ */
+const VocabularyEditor = ({
+  lists,
+  selectedList,
+  onSelectList,
+  onCreateList,
+  onDeleteList,
+  onAddTerm,
+  onRemoveTerm,
+  isRecording
+}) => {
+  const [newListName, setNewListName] = useState('');
+  const [term, setTerm] = useState('');
+  const [boost, setBoost] = useState('');
+  
+  const listOptions = [
+    { value: NO_LIST, label: 'None' },
+    ...lists.map(list => ({ value: list.id, label: list.name }))
+  ];
+  
+  const handleCreateList = () => {
+    onCreateList(newListName);
+    setNewListName('');
+  };
+  
+  const handleAddTerm = () => {
+    const parsedBoost = parseFloat(boost);
+    onAddTerm(selectedList.id, term, Number.isFinite(parsedBoost) ? parsedBoost : undefined);
+    setTerm('');
+    setBoost('');
+  };
+  
+  return (
+    <View style={styles.vocabularyContainer}>
+      <OptionPicker
+        label="Custom Vocabulary"
+        options={listOptions}
+        value={selectedList ? selectedList.id : NO_LIST}
+        onChange={(value) => onSelectList(value === NO_LIST ? null : value)}
+        disabled={isRecording}
+      />
+      
+      <View style={styles.inputRow}>
+        <TextInput
+          style={[styles.input, styles.flexInput]}
+          placeholder="New list name"
+          value={newListName}
+          onChangeText={setNewListName}
+          editable={!isRecording}
+        />
+        <Button
+          title="Create"
+          onPress={handleCreateList}
+          disabled={isRecording || !newListName.trim()}
+        />
+      </View>
+      
+      {selectedList && (
+        <View>
+          {selectedList.terms.length === 0 && (
+            <Text style={styles.emptyText}>No terms in "{selectedList.name}" yet</Text>
+          )}
+          {selectedList.terms.map(entry => (
+            <View key={entry.term} style={styles.termRow}>
+              <Text style={styles.termText}>
+                {entry.term}
+                {entry.boost !== undefined && <Text style={styles.boostText}> ×{entry.boost}</Text>}
+              </Text>
+              <TouchableOpacity
+                onPress={() => onRemoveTerm(selectedList.id, entry.term)}
+                disabled={isRecording}
+              >
+                <Text style={styles.removeText}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+          
+          <View style={styles.inputRow}>
+            <TextInput
+              style={[styles.input, styles.flexInput]}
+              placeholder="Name or product"
+              value={term}
+              onChangeText={setTerm}
+              editable={!isRecording}
+            />
+            <TextInput
+              style={[styles.input, styles.boostInput]}
+              placeholder="Boost"
+              value={boost}
+              onChangeText={setBoost}
+              keyboardType="numeric"
+              editable={!isRecording}
+            />
+            <Button
+              title="Add"
+              onPress={handleAddTerm}
+              disabled={isRecording || !term.trim()}
+            />
+          </View>
+          
+          <Button
+            title={`Delete "${selectedList.name}"`}
+            color="red"
+            onPress={() => onDeleteList(selectedList.id)}
+            disabled={isRecording}
+          />
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  vocabularyContainer: {
+    marginTop: 5,
+    paddingTop: 10,
+    borderTopWidth: 1,
+    borderColor: '#eee',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    paddingVertical: 5,
+    paddingHorizontal: 8,
+    backgroundColor: '#f9f9f9',
+    marginRight: 6,
+  },
+  flexInput: {
+    flex: 1,
+  },
+  boostInput: {
+    width: 60,
+  },
+  termRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  termText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  boostText: {
+    color: '#666',
+  },
+  removeText: {
+    color: '#dc3545',
+    fontSize: 13,
+  },
+  emptyText: {
+    color: '#999',
+    marginBottom: 8,
+  },
+});
+
+export default VocabularyEditor;
@@ -1,63 +1,298 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useState, useRef, useEffect } from 'react';
+import { View, Text, ScrollView, Pressable, PanResponder, StyleSheet } from 'react-native';
 import Svg, { Rect } from 'react-native-svg';
 
+const HEIGHT = 80;
+const BAR_WIDTH = 2;
+const BAR_GAP = 1;
+const BAR_STEP = BAR_WIDTH + BAR_GAP;
+
+// One bar per 100 ms while recording, as the live meter has always shown
+const LIVE_PIXELS_PER_SECOND = BAR_STEP * 10;
+
+// Bars are drawn this many view widths either side of what is on screen
+const OVERSCAN_WIDTHS = 1;
+
+/**
+ * Gets the loudest envelope level between two times
+ *
+ * @param {Object} envelope - Envelope as { bucketSeconds, values }
+ * @param {number} from - Start time in seconds
+ * @param {number} to - End time in seconds
+ * @returns {number} Level (0-1)
+ */
+const getLevel = ({ bucketSeconds, values }, from, to) => {
+  const first = Math.floor(from / bucketSeconds);
+  const last = Math.min(values.length, Math.max(first + 1, Math.ceil(to / bucketSeconds)));
+  let level = 0;
+
+  for (let i = first; i < last; i++) {
+    level = Math.max(level, values[i]);
+  }
+
+  return level;
+};
+
+/**
+ * Gets the distance between the first two touches of a gesture
+ *
+ * @param {Object} event - Responder event
+ * @returns {number} Distance in pixels
+ */
+const getTouchDistance = (event) => {
+  const [a, b] = event.nativeEvent.touches;
+  return Math.hypot(a.pageX - b.pageX, a.pageY - b.pageY);
+};
+
 /**
- * Waveform component that visualizes audio levels during recording
- * 
+ * Waveform component that shows the level envelope of the whole session.
+ *
+ * It fills the available width and scrolls horizontally. While recording it
+ * follows the newest audio; in playback (`onSeek` given) it follows the
+ * playhead, tapping the waveform or dragging along the overview strip below
+ * it seeks, and the played part is highlighted. Pinching zooms in either
+ * mode, from the whole session fitting the view down to one bar per
+ * envelope point. Regions where the provider heard speech are shaded.
+ *
  * @param {Object} props - Component props
- * @param {Array<number>} props.meteringValues - Array of audio level values (0-1)
+ * @param {Object} [props.envelope] - Level envelope as { bucketSeconds, values } with levels 0-1
  * @param {boolean} props.isRecording - Whether recording is in progress
+ * @param {number} [props.duration] - Length of the recording in seconds; defaults to the envelope's
+ * @param {number|null} [props.position] - Playback position in seconds
+ * @param {Function} [props.onSeek] - Function called with the time in seconds to seek to
+ * @param {Array<Object>} [props.speechRegions] - Speech as { start, end }; a null end runs to the end
+ * @param {Object} [props.levels] - Current input levels as { rmsDb, peakDb, isClipping }, shown while recording
  * @returns {JSX.Element} Waveform component
  */
-const Waveform = ({ meteringValues = [], isRecording }) => {
-  const width = 300;
-  const height = 80;
-  const barWidth = 2;
-  const barGap = 1;
-  const maxBars = Math.floor(width / (barWidth + barGap));
+const Waveform = ({
+  envelope,
+  isRecording,
+  duration,
+  position = null,
+  onSeek,
+  speechRegions = [],
+  levels
+}) => {
+  const [width, setWidth] = useState(0);
+  const [zoom, setZoom] = useState(null);
+  const [scrollX, setScrollX] = useState(0);
+
+  const scrollViewRef = useRef(null);
+  const pendingScrollRef = useRef(null);
+  const pinchRef = useRef(null);
+
+  const values = envelope ? envelope.values : [];
+  const bucketSeconds = envelope ? envelope.bucketSeconds : 0.1;
+  const totalSeconds = duration || values.length * bucketSeconds;
+  const isScrubber = !!onSeek;
+
+  // Fit the whole session by default in playback; scroll at the live rate while recording
+  const fitZoom = width > 0 && totalSeconds > 0 ? width / totalSeconds : LIVE_PIXELS_PER_SECOND;
+  const maxZoom = Math.max(fitZoom, BAR_STEP / bucketSeconds);
+  const minZoom = Math.min(fitZoom, maxZoom);
+  const requestedZoom = zoom !== null ? zoom : (isScrubber ? fitZoom : LIVE_PIXELS_PER_SECOND);
+  const pixelsPerSecond = Math.min(maxZoom, Math.max(minZoom, requestedZoom));
+  const contentWidth = Math.max(width, totalSeconds * pixelsPerSecond);
+
+  // The pinch handler is created once, so it reads the current layout through a ref
+  const layoutRef = useRef({});
+  layoutRef.current = { width, scrollX, pixelsPerSecond, minZoom, maxZoom };
+
+  const pinchResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponderCapture: event => event.nativeEvent.touches.length === 2,
+    onMoveShouldSetPanResponderCapture: event => event.nativeEvent.touches.length === 2,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: (event) => {
+      const layout = layoutRef.current;
+      pinchRef.current = {
+        distance: getTouchDistance(event),
+        zoom: layout.pixelsPerSecond,
+        // Keep the time in the middle of the view where it is
+        centerTime: (layout.scrollX + layout.width / 2) / layout.pixelsPerSecond,
+      };
+    },
+    onPanResponderMove: (event) => {
+      const pinch = pinchRef.current;
+      if (!pinch || event.nativeEvent.touches.length < 2) {
+        return;
+      }
+
+      const layout = layoutRef.current;
+      const next = Math.min(layout.maxZoom, Math.max(layout.minZoom,
+        pinch.zoom * getTouchDistance(event) / pinch.distance));
+      pendingScrollRef.current = Math.max(0, pinch.centerTime * next - layout.width / 2);
+      setZoom(next);
+    },
+    onPanResponderRelease: () => {
+      pinchRef.current = null;
+    },
+    onPanResponderTerminate: () => {
+      pinchRef.current = null;
+    },
+  })).current;
+
+  // Keep the playhead in view while playing
+  useEffect(() => {
+    if (!isScrubber || position === null || width === 0 || pinchRef.current) {
+      return;
+    }
+
+    const x = position * pixelsPerSecond;
+    if (x < scrollX || x > scrollX + width) {
+      scrollViewRef.current?.scrollTo({ x: Math.max(0, x - width / 4), animated: false });
+    }
+  }, [position]);
+
+  // Start over at the live zoom for each recording
+  useEffect(() => {
+    if (isRecording) {
+      setZoom(null);
+    }
+  }, [isRecording]);
+
+  const handleContentSizeChange = () => {
+    if (pendingScrollRef.current !== null) {
+      scrollViewRef.current?.scrollTo({ x: pendingScrollRef.current, animated: false });
+      pendingScrollRef.current = null;
+    } else if (isRecording) {
+      scrollViewRef.current?.scrollToEnd({ animated: false });
+    }
+  };
+
+  const label = (
+    <View style={styles.labelRow}>
+      <Text style={styles.waveformLabel}>Waveform:</Text>
+      {isRecording && levels && Number.isFinite(levels.peakDb) && (
+        <Text style={styles.levelText}>
+          RMS {Math.round(levels.rmsDb)} dB · Peak {Math.round(levels.peakDb)} dB
+          {levels.isClipping && <Text style={styles.clipText}> CLIP</Text>}
+        </Text>
+      )}
+    </View>
+  );
   
-  if (meteringValues.length === 0) {
+  const seekToOverview = (event) => {
+    const fraction = Math.min(1, Math.max(0, event.nativeEvent.locationX / width));
+    onSeek(fraction * totalSeconds);
+  };
+
+  if (values.length === 0 && !isScrubber) {
     return (
       <View style={styles.waveformContainer}>
-        <Text style={styles.waveformLabel}>Waveform:</Text>
+        {label}
         <View style={styles.waveformPlaceholder}>
           <Text style={styles.waveformPlaceholderText}>
-            {isRecording 
-              ? 'Processing audio...' 
+            {isRecording
+              ? 'Processing audio...'
               : 'Waveform will appear here during recording'}
           </Text>
         </View>
       </View>
     );
   }
-  
-  // Select a subset of metering values to display
-  const displayValues = meteringValues.slice(-maxBars);
-  
+
+  // Only draw the bars near the visible part of a long session
+  const secondsPerBar = BAR_STEP / pixelsPerSecond;
+  const firstBar = Math.max(0, Math.floor((scrollX - width * OVERSCAN_WIDTHS) / BAR_STEP));
+  const lastBar = Math.min(
+    Math.ceil(totalSeconds / secondsPerBar),
+    Math.ceil((scrollX + width * (1 + OVERSCAN_WIDTHS)) / BAR_STEP)
+  );
+  const playheadX = position === null ? null : position * pixelsPerSecond;
+
+  const bars = [];
+  for (let index = firstBar; index < lastBar; index++) {
+    const level = values.length > 0
+      ? getLevel({ bucketSeconds, values }, index * secondsPerBar, (index + 1) * secondsPerBar)
+      : 0;
+    const barHeight = Math.max(2, level * HEIGHT);
+    const x = index * BAR_STEP;
+    const isPlayed = playheadX !== null && x < playheadX;
+
+    bars.push(
+      <Rect
+        key={`bar-${index}`}
+        x={x}
+        y={(HEIGHT - barHeight) / 2}
+        width={BAR_WIDTH}
+        height={barHeight}
+        fill={!isScrubber || isPlayed ? '#007bff' : '#b3d7ff'}
+        rx={1}
+        ry={1}
+      />
+    );
+  }
+
   return (
     <View style={styles.waveformContainer}>
-      <Text style={styles.waveformLabel}>Waveform:</Text>
-      <Svg width={width} height={height} style={styles.waveformSvg}>
-        {displayValues.map((value, index) => {
-          const barHeight = Math.max(2, value * height);
-          const x = index * (barWidth + barGap);
-          const y = (height - barHeight) / 2;
-          
-          return (
-            <Rect
-              key={`bar-${index}`}
-              x={x}
-              y={y}
-              width={barWidth}
-              height={barHeight}
-              fill="#007bff"
-              rx={1}
-              ry={1}
+      {label}
+      <View
+        style={styles.waveformView}
+        onLayout={event => setWidth(event.nativeEvent.layout.width)}
+        {...pinchResponder.panHandlers}
+      >
+        {width > 0 && (
+          <ScrollView
+            ref={scrollViewRef}
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            scrollEventThrottle={16}
+            onScroll={event => setScrollX(event.nativeEvent.contentOffset.x)}
+            onContentSizeChange={handleContentSizeChange}
+          >
+            <Pressable
+              disabled={!isScrubber}
+              onPress={event => onSeek(event.nativeEvent.locationX / pixelsPerSecond)}
+            >
+              <Svg width={contentWidth} height={HEIGHT} pointerEvents="none">
+                {speechRegions.map((region, index) => {
+                  const end = region.end === null || region.end === undefined ? totalSeconds : region.end;
+                  return (
+                    <Rect
+                      key={`speech-${index}`}
+                      x={region.start * pixelsPerSecond}
+                      y={0}
+                      width={Math.max(1, (end - region.start) * pixelsPerSecond)}
+                      height={HEIGHT}
+                      fill="#28a745"
+                      fillOpacity={0.15}
+                    />
+                  );
+                })}
+                {bars}
+                {playheadX !== null && (
+                  <Rect x={Math.min(playheadX, contentWidth - 2)} y={0} width={2} height={HEIGHT} fill="#dc3545" />
+                )}
+              </Svg>
+            </Pressable>
+          </ScrollView>
+        )}
+      </View>
+
+      {isScrubber && width > 0 && (
+        <View
+          style={styles.overview}
+          onStartShouldSetResponder={() => true}
+          onMoveShouldSetResponder={() => true}
+          onResponderTerminationRequest={() => false}
+          onResponderGrant={seekToOverview}
+          onResponderMove={seekToOverview}
+        >
+          <View
+            pointerEvents="none"
+            style={[styles.overviewWindow, {
+              left: scrollX / contentWidth * width,
+              width: Math.max(2, width / contentWidth * width),
+            }]}
+          />
+          {playheadX !== null && totalSeconds > 0 && (
+            <View
+              pointerEvents="none"
+              style={[styles.overviewPlayhead, { left: Math.min(width - 2, position / totalSeconds * width) }]}
             />
-          );
-        })}
-      </Svg>
+          )}
+        </View>
+      )}
     </View>
   );
 };
@@ -74,29 +309,59 @@ const styles = StyleSheet.create({
     shadowRadius: 2,
     elevation: 2,
   },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+    marginBottom: 10,
+  },
   waveformLabel: {
     fontSize: 16,
     fontWeight: 'bold',
-    marginBottom: 10,
     color: '#333',
   },
-  waveformSvg: {
+  levelText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  clipText: {
+    color: '#dc3545',
+    fontWeight: 'bold',
+  },
+  waveformView: {
+    height: HEIGHT,
     backgroundColor: '#f8f8f8',
     borderRadius: 5,
-    borderWidth: 1,
-    borderColor: '#e0e0e0',
-    alignSelf: 'center',
+    overflow: 'hidden',
+  },
+  overview: {
+    height: 14,
+    marginTop: 6,
+    backgroundColor: '#e9ecef',
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  overviewWindow: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    backgroundColor: '#b3d7ff',
+  },
+  overviewPlayhead: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 2,
+    backgroundColor: '#dc3545',
   },
   waveformPlaceholder: {
-    height: 80,
-    width: 300,
+    height: HEIGHT,
     backgroundColor: '#f8f8f8',
     borderRadius: 5,
     borderWidth: 1,
     borderColor: '#e0e0e0',
     justifyContent: 'center',
     alignItems: 'center',
-    alignSelf: 'center',
   },
   waveformPlaceholderText: {
     color: '#999',
@@ -104,4 +369,4 @@ const styles = StyleSheet.create({
   },
 });
 
-export default Waveform; 
\ No newline at end of file
+export default Waveform;
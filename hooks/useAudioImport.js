@@ -0,0 +1,92 @@
+import { useState, useCallback } from 'react';
+import * as DocumentPicker from 'expo-document-picker';
+import { createSessionId } from '../services/sessionStore';
+import { createTranscriptFromPrerecorded } from '../utils/transcriptModel';
+import { IMPORT_AUDIO_TYPES } from '../utils/audioFormat';
+
+/**
+ * Custom hook for importing existing audio files into the session library
+ * 
+ * @param {Object} options - Hook options
+ * @param {Function} options.transcribeFile - Function called with (uri, { mimeType }) that resolves
+ *   to a pre-recorded transcription response
+ * @param {Function} options.saveSession - Function called with (session, { audioUri }) to store the result
+ * @param {Object} options.sessionOptions - Transcription options recorded with the session
+ * @param {Function} options.logger - Logger function for import events
+ * @returns {Object} Import state and the import method
+ */
+const useAudioImport = ({ transcribeFile, saveSession, sessionOptions, logger }) => {
+  const [isImporting, setIsImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
+  
+  /**
+   * Lets the user pick an audio file, transcribes it and saves it as a session
+   * 
+   * @returns {Promise<Object|null>} The saved session, or null when the pick was
+   *   cancelled or the import failed
+   */
+  const importAudio = useCallback(async () => {
+    let asset;
+    
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: IMPORT_AUDIO_TYPES,
+        copyToCacheDirectory: true
+      });
+      
+      if (result.canceled || !result.assets || result.assets.length === 0) {
+        return null;
+      }
+      [asset] = result.assets;
+    } catch (error) {
+      logger?.log(`Error picking audio file: ${error.message}`);
+      return null;
+    }
+    
+    setIsImporting(true);
+    setImportError(null);
+    logger?.log(`Importing ${asset.name} (${asset.size || '?'} bytes)`);
+    
+    try {
+      const response = await transcribeFile(asset.uri, { mimeType: asset.mimeType });
+      const durationSeconds = response.metadata ? response.metadata.duration || 0 : 0;
+      const importedAt = new Date();
+      
+      const session = {
+        id: createSessionId(importedAt),
+        title: asset.name,
+        startedAt: importedAt.toISOString(),
+        endedAt: importedAt.toISOString(),
+        durationMs: Math.round(durationSeconds * 1000),
+        options: {
+          ...sessionOptions,
+          source: 'import',
+          fileName: asset.name
+        },
+        transcript: createTranscriptFromPrerecorded(response)
+      };
+      
+      // The picker's cache copy becomes the session audio
+      const saved = await saveSession(session, { audioUri: asset.uri });
+      if (!saved) {
+        // saveSession has already logged why
+        setImportError(`Could not save ${asset.name} to the library`);
+      }
+      return saved;
+    } catch (error) {
+      logger?.log(`Error importing ${asset.name}: ${error.message}`);
+      setImportError(`Could not import ${asset.name}: ${error.message}`);
+      return null;
+    } finally {
+      setIsImporting(false);
+    }
+  }, [transcribeFile, saveSession, sessionOptions, logger]);
+  
+  return {
+    isImporting,
+    importError,
+    importAudio
+  };
+};
+
+export default useAudioImport;
@@ -1,33 +1,97 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { Audio } from 'expo-av';
-import * as FileSystem from 'expo-file-system';
+import AudioStream from '../services/audioStream';
+import SessionAudioWriter from '../services/sessionAudioWriter';
+import { DEFAULT_STREAM_FORMAT, DEFAULT_CAPTURE_FORMAT } from '../utils/audioFormat';
+import VoiceActivityDetector, { DEFAULT_VAD_SETTINGS } from '../utils/voiceActivityDetector';
+import WaveformEnvelope from '../utils/waveformEnvelope';
+import { measureLevels, mergeLevels, toMeterLevel, SILENT_LEVELS } from '../utils/audioLevels';
+import AudioQualityMonitor from '../utils/audioQuality';
 
 /**
  * Custom hook for handling audio recording functionality
  * 
  * @param {Object} options - Hook options
- * @param {Function} options.onAudioData - Callback when audio data is available
+ * @param {Function} options.onAudioData - Callback with (frame: Uint8Array, sequence: number, time: number)
+ *   for every fixed-size PCM frame, numbered from 0; `time` is the frame's position in seconds. With
+ *   voice activity detection on, silent frames are skipped, so sequence numbers can jump.
+ * @param {Function} [options.onKeepAlive] - Called periodically while silence is being skipped
+ *   or the recording is paused
  * @param {Function} options.logger - Logger function for recording events
  * @returns {Object} Recording control methods and state
  */
-const useAudioRecording = ({ onAudioData, logger }) => {
+const useAudioRecording = ({ onAudioData, onKeepAlive, logger }) => {
   // Recording state
-  const [recording, setRecording] = useState(null);
   const [isRecording, setIsRecording] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [permission, setPermission] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [status, setStatus] = useState('');
   
-  // Metering state for waveform visualization
-  const [meteringValues, setMeteringValues] = useState([]);
+  // Whether to keep the whole session as one WAV file
+  const [keepAudio, setKeepAudio] = useState(true);
+  
+  // Voice activity detection: enabled, thresholdDb, hangoverMs, preRollMs
+  const [vadSettings, setVadSettings] = useState(DEFAULT_VAD_SETTINGS);
+  
+  // Pauses in the current session as { time, pausedAt, durationMs }, where
+  // time is the position in the session audio
+  const [pauses, setPauses] = useState([]);
+  
+  // Bookmarks dropped in the current session as { id, time, createdAt, note }
+  const [bookmarks, setBookmarks] = useState([]);
+  
+  // Input levels of the latest frames ({ rmsDb, peakDb, isClipping }) and the
+  // session's level envelope ({ bucketSeconds, values }), published at a fixed rate
+  const [levels, setLevels] = useState(SILENT_LEVELS);
+  const [waveform, setWaveform] = useState(null);
+  
+  // Input problems currently detected, from QUALITY_ISSUES
+  const [qualityIssues, setQualityIssues] = useState([]);
   
   // References for streaming
-  const recordingIntervalRef = useRef(null);
-  const meteringIntervalRef = useRef(null);
+  const audioStreamRef = useRef(null);
+  const levelIntervalRef = useRef(null);
+  const sessionAudioWriterRef = useRef(null);
+  const vadRef = useRef(null);
+  const lastKeepAliveRef = useRef(0);
+  const pauseKeepAliveIntervalRef = useRef(null);
+  const pausesRef = useRef([]);
+  const bookmarksRef = useRef([]);
+  
+  // Level of every frame in the session, shown live and saved for the playback scrubber
+  const sessionEnvelopeRef = useRef(null);
+  // Envelope points shown so far and when the waveform was last published
+  const publishedPointsRef = useRef(0);
+  const lastWaveformPublishRef = useRef(0);
+  // Levels measured since they were last published
+  const pendingLevelsRef = useRef(null);
+  const qualityMonitorRef = useRef(null);
+  
+  // The stream outlives renders, so it reads the latest callbacks through refs
+  const onAudioDataRef = useRef(onAudioData);
+  onAudioDataRef.current = onAudioData;
+  const onKeepAliveRef = useRef(onKeepAlive);
+  onKeepAliveRef.current = onKeepAlive;
   
   // Audio settings
-  const BUFFER_SIZE = 4096;
-  const SAMPLE_RATE = 16000;
+  const FRAME_DURATION_MS = 100;
+  const LEVEL_PUBLISH_INTERVAL_MS = 100;
+  // The whole envelope is copied and redrawn on each publish, so a little less
+  // often than the levels, but often enough for the view to scroll smoothly
+  const WAVEFORM_PUBLISH_INTERVAL_MS = 200;
+  // Deepgram closes a stream after 10 seconds without audio or a KeepAlive
+  const KEEPALIVE_INTERVAL_MS = 3000;
+  
+  /**
+   * Switches the audio session to recording; playback switches it away
+   */
+  const enableRecordingMode = () => Audio.setAudioModeAsync({
+    allowsRecordingIOS: true,
+    playsInSilentModeIOS: true,
+    shouldDuckAndroid: true,
+    playThroughEarpieceAndroid: false,
+  });
   
   /**
    * Gets recording permissions from the user
@@ -38,13 +102,7 @@ const useAudioRecording = ({ onAudioData, logger }) => {
       setPermission(granted);
       
       if (granted) {
-        // Set up audio recording quality
-        await Audio.setAudioModeAsync({
-          allowsRecordingIOS: true,
-          playsInSilentModeIOS: true,
-          shouldDuckAndroid: true,
-          playThroughEarpieceAndroid: false,
-        });
+        await enableRecordingMode();
         setStatus('Ready to record');
         logger?.log('Audio permissions granted, ready to record');
       } else {
@@ -69,279 +127,398 @@ const useAudioRecording = ({ onAudioData, logger }) => {
   }, []);
   
   /**
-   * Process and send audio data from a file
+   * Handles one frame from the audio stream
    * 
-   * @param {string} uri - URI of the audio file
-   * @param {number} chunkNumber - Sequential number of this chunk
+   * @param {Uint8Array} frame - PCM frame
+   * @param {number} sequence - Sequence number of the frame
    */
-  const processAndSendAudio = async (uri, chunkNumber) => {
-    try {
-      logger?.log(`Starting to process audio chunk #${chunkNumber}`);
-      
-      // Check if file exists
-      const fileInfo = await FileSystem.getInfoAsync(uri);
-      
-      if (!fileInfo.exists) {
-        logger?.log(`File not found: ${uri}`);
-        return;
-      }
-      
-      // Skip empty or very small files
-      if (fileInfo.size <= 100) {
-        logger?.log(`File too small (${fileInfo.size} bytes), skipping`);
-        return;
-      }
-      
-      // Read audio data, skipping WAV header
-      logger?.log(`Reading audio data from ${uri}...`);
-      let base64Data;
-      try {
-        base64Data = await FileSystem.readAsStringAsync(uri, {
-          encoding: FileSystem.EncodingType.Base64,
-          position: 44, // Skip WAV header
-          length: fileInfo.size - 44
-        });
-        logger?.log(`Successfully read ${base64Data.length} bytes of base64 data`);
-      } catch (readError) {
-        logger?.log(`Error reading audio data: ${readError.message}`);
-        return;
-      }
-      
-      // Convert and send data
-      try {
-        const binaryString = atob(base64Data);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-        
-        logger?.log(`Converted ${bytes.length} bytes to binary`);
-        
-        // Call the onAudioData callback with the processed audio
-        if (onAudioData) {
-          await onAudioData(bytes, chunkNumber);
-        }
-        
-      } catch (processError) {
-        logger?.log(`Error processing data: ${processError.message}`);
-        return;
+  const handleFrame = (frame, sequence) => {
+    // Keep a copy for the session audio before it is streamed; the file
+    // always has every frame, silent or not
+    if (sessionAudioWriterRef.current) {
+      sessionAudioWriterRef.current.append(frame);
+    }
+    
+    // Levels come from every captured frame, including those the VAD holds back
+    const frameLevels = measureLevels(frame);
+    pendingLevelsRef.current = pendingLevelsRef.current
+      ? mergeLevels(pendingLevelsRef.current, frameLevels)
+      : frameLevels;
+    if (sessionEnvelopeRef.current) {
+      sessionEnvelopeRef.current.push(toMeterLevel(frameLevels.rmsDb));
+    }
+    if (qualityMonitorRef.current) {
+      qualityMonitorRef.current.process(frameLevels);
+    }
+    
+    const frameDuration = audioStreamRef.current ? audioStreamRef.current.getFrameDuration() : FRAME_DURATION_MS / 1000;
+    const forwarded = vadRef.current
+      ? vadRef.current.process(frame, sequence)
+      : [{ frame, sequence }];
+    
+    if (forwarded.length === 0) {
+      // Nothing is streamed while the gate is closed, so keep the socket alive
+      const now = Date.now();
+      if (onKeepAliveRef.current && now - lastKeepAliveRef.current >= KEEPALIVE_INTERVAL_MS) {
+        lastKeepAliveRef.current = now;
+        onKeepAliveRef.current();
       }
-      
-      // Cleanup
-      try {
-        await FileSystem.deleteAsync(uri);
-        logger?.log(`Cleaned up temporary file: ${uri}`);
-      } catch (cleanupError) {
-        logger?.log(`Warning: Could not delete temporary file: ${cleanupError.message}`);
+      return;
+    }
+    
+    lastKeepAliveRef.current = Date.now();
+    forwarded.forEach(item => {
+      if (onAudioDataRef.current) {
+        onAudioDataRef.current(item.frame, item.sequence, item.sequence * frameDuration);
       }
-    } catch (error) {
-      logger?.log(`Critical error processing audio: ${error.message}`);
+    });
+  };
+  
+  /**
+   * Gets how much of the captured audio was streamed
+   * 
+   * @returns {Object} { capturedSeconds, sentSeconds, skippedSeconds }
+   */
+  const getStreamStats = () => {
+    if (vadRef.current) {
+      return vadRef.current.getStats();
+    }
+    
+    const stream = audioStreamRef.current;
+    const capturedSeconds = stream ? stream.sequence * stream.getFrameDuration() : 0;
+    return { capturedSeconds, sentSeconds: capturedSeconds, skippedSeconds: 0 };
+  };
+  
+  /**
+   * Gets the status message shown while capturing
+   * 
+   * @returns {string} Status message
+   */
+  const getRecordingStatus = () => (
+    AudioStream.isContinuous()
+      ? 'Recording with continuous streaming'
+      : 'Recording in segments (gap-free capture needs a development build)'
+  );
+  
+  /**
+   * Updates the pause list, keeping the ref used by stopRecording in sync
+   * 
+   * @param {Array<Object>} next - New pause list
+   */
+  const updatePauses = (next) => {
+    pausesRef.current = next;
+    setPauses(next);
+  };
+  
+  /**
+   * Updates the bookmark list, keeping the ref used by stopRecording in sync
+   * 
+   * @param {Array<Object>} next - New bookmark list
+   */
+  const updateBookmarks = (next) => {
+    bookmarksRef.current = next;
+    setBookmarks(next);
+  };
+  
+  /**
+   * Stops sending keepalives for a pause
+   */
+  const clearPauseKeepAlive = () => {
+    if (pauseKeepAliveIntervalRef.current) {
+      clearInterval(pauseKeepAliveIntervalRef.current);
+      pauseKeepAliveIntervalRef.current = null;
+    }
+  };
+  
+  /**
+   * Records how long the current pause lasted
+   */
+  const closeCurrentPause = () => {
+    const current = pausesRef.current[pausesRef.current.length - 1];
+    if (current && current.durationMs === null) {
+      updatePauses([
+        ...pausesRef.current.slice(0, -1),
+        { ...current, durationMs: Date.now() - new Date(current.pausedAt).getTime() }
+      ]);
     }
   };
   
+  /**
+   * Handles an error the audio stream reports while capturing
+   * 
+   * @param {Error} error - Error from the capture source
+   */
+  const handleStreamError = (error) => {
+    logger?.log(`${error.name}: ${error.message}`);
+    setStatus(`Error: ${error.message}`);
+  };
+  
   /**
    * Starts recording audio
+   * 
+   * @param {Object} [options] - Recording options
+   * @param {Object} [options.audioFormat] - Format the transcription provider expects;
+   *   captured audio is converted to it, or reported when it cannot be
+   * @returns {Promise<Object|null>} Format of the frames the running stream emits, or null when
+   *   capture did not start
    */
-  const startRecording = async () => {
+  const startRecording = async ({ audioFormat = DEFAULT_STREAM_FORMAT } = {}) => {
     try {
       if (!permission) {
         setStatus('Permission not granted to record audio');
         logger?.log('Cannot start: No audio permission');
-        return;
+        return null;
       }
       
       setIsLoading(true);
-      setMeteringValues([]);
+      setWaveform(null);
+      publishedPointsRef.current = 0;
+      lastWaveformPublishRef.current = 0;
+      setLevels(SILENT_LEVELS);
+      setQualityIssues([]);
+      updatePauses([]);
+      updateBookmarks([]);
+      pendingLevelsRef.current = null;
       
-      logger?.log('Starting new recording session with continuous streaming');
+      // A session may have been played back since the last recording
+      await enableRecordingMode();
       
-      const recordingOptions = {
-        android: {
-          extension: '.wav',
-          outputFormat: Audio.RECORDING_OPTION_ANDROID_OUTPUT_FORMAT_PCM_16BIT,
-          audioEncoder: Audio.RECORDING_OPTION_ANDROID_AUDIO_ENCODER_PCM_16BIT,
-          sampleRate: SAMPLE_RATE,
-          numberOfChannels: 1,
-          bitRate: 16 * SAMPLE_RATE,
-          meteringEnabled: true,
-        },
-        ios: {
-          extension: '.wav',
-          outputFormat: Audio.RECORDING_OPTION_IOS_OUTPUT_FORMAT_LINEARPCM,
-          audioQuality: Audio.RECORDING_OPTION_IOS_AUDIO_QUALITY_HIGH,
-          sampleRate: SAMPLE_RATE,
-          numberOfChannels: 1,
-          bitRate: 16 * SAMPLE_RATE,
-          linearPCMBitDepth: 16,
-          linearPCMIsBigEndian: false,
-          linearPCMIsFloat: false,
-          meteringEnabled: true,
-        },
-      };
+      logger?.log('Starting new recording session with continuous streaming');
       
-      logger?.log('Starting recording with options: ' + JSON.stringify(recordingOptions));
+      // Start collecting the continuous session audio before any frame arrives
+      if (keepAudio) {
+        sessionAudioWriterRef.current = new SessionAudioWriter({
+          sampleRate: audioFormat.sampleRate,
+          channels: audioFormat.channels,
+          bitsPerSample: audioFormat.bitsPerSample,
+          logger
+        });
+        sessionAudioWriterRef.current.open();
+      }
       
-      // Start recording
-      const { recording: newRecording } = await Audio.Recording.createAsync(recordingOptions);
-      setRecording(newRecording);
-      setIsRecording(true);
+      audioStreamRef.current = new AudioStream({
+        ...audioFormat,
+        captureFormat: DEFAULT_CAPTURE_FORMAT,
+        frameDurationMs: FRAME_DURATION_MS,
+        onFrame: handleFrame,
+        onError: handleStreamError,
+        logger
+      });
       
-      // Reference to the current recording
-      const currentRecordingRef = { current: newRecording };
+      vadRef.current = vadSettings.enabled
+        ? new VoiceActivityDetector({
+          ...vadSettings,
+          frameDurationMs: audioStreamRef.current.getFrameDuration() * 1000
+        })
+        : null;
+      lastKeepAliveRef.current = Date.now();
+      sessionEnvelopeRef.current = new WaveformEnvelope({
+        intervalSeconds: audioStreamRef.current.getFrameDuration()
+      });
+      qualityMonitorRef.current = new AudioQualityMonitor({
+        frameDurationMs: audioStreamRef.current.getFrameDuration() * 1000
+      });
       
-      // Start periodic audio streaming (send every 200ms)
-      let streamInterval = 0;
-      let lastRecordingTime = Date.now();
+      await audioStreamRef.current.start();
+      setIsRecording(true);
       
-      logger?.log('Starting recording interval...');
+      // Publish levels at a steady rate however bursty the source delivers
+      // frames; nothing new arrives while paused
+      levelIntervalRef.current = setInterval(() => {
+        if (!pendingLevelsRef.current) {
+          return;
+        }
+        
+        setLevels(pendingLevelsRef.current);
+        pendingLevelsRef.current = null;
+        
+        // Only redraw the waveform once the envelope has gained points
+        const envelope = sessionEnvelopeRef.current;
+        const now = Date.now();
+        if (envelope.completedPoints > publishedPointsRef.current &&
+            now - lastWaveformPublishRef.current >= WAVEFORM_PUBLISH_INTERVAL_MS) {
+          publishedPointsRef.current = envelope.completedPoints;
+          lastWaveformPublishRef.current = now;
+          setWaveform(envelope.toJSON());
+        }
+        
+        // Only update the warnings when they change
+        const issues = qualityMonitorRef.current.getIssues();
+        setQualityIssues(prev => (prev.join() === issues.join() ? prev : issues));
+      }, LEVEL_PUBLISH_INTERVAL_MS);
       
-      // Clear any existing intervals
-      if (recordingIntervalRef.current) {
-        clearInterval(recordingIntervalRef.current);
-        logger?.log('Cleared existing recording interval');
-      }
+      setStatus(getRecordingStatus());
+      setIsLoading(false);
+      return audioStreamRef.current.getFormat();
+    } catch (err) {
+      logger?.log(`Failed to start recording: ${err.message}`);
+      setStatus('Error starting recording');
+      setIsLoading(false);
+      await stopRecording();
+      return null;
+    }
+  };
+  
+  /**
+   * Pauses capture. The session stays open: the transcription connection is
+   * kept alive and capture continues in the same audio file on resume.
+   */
+  const pauseRecording = async () => {
+    if (!audioStreamRef.current || isPaused) {
+      return;
+    }
+    
+    try {
+      setIsLoading(true);
+      await audioStreamRef.current.pause();
       
-      // Function to process current recording segment
-      const processCurrentSegment = async () => {
-        try {
-          if (!currentRecordingRef.current) {
-            logger?.log('No recording reference available');
-            return;
-          }
-
-          const now = Date.now();
-          const timeSinceLastRecording = now - lastRecordingTime;
-          
-          // Get current status
-          const status = await currentRecordingRef.current.getStatusAsync();
-          
-          if (!status.isRecording) {
-            logger?.log('Recording is not active, starting new recording');
-            try {
-              const { recording: nextRecording } = await Audio.Recording.createAsync(recordingOptions);
-              currentRecordingRef.current = nextRecording;
-              setRecording(nextRecording);
-              lastRecordingTime = now;
-              logger?.log('New recording started successfully');
-              return;
-            } catch (error) {
-              logger?.log(`Failed to start new recording: ${error.message}`);
-              return;
-            }
-          }
-          
-          // Get URI
-          const uri = currentRecordingRef.current.getURI();
-          if (!uri) {
-            logger?.log('No URI available for recording');
-            return;
-          }
-          
-          // Only process if we've recorded enough audio
-          if (status.durationMillis < 500) {
-            logger?.log(`Recording duration too short (${status.durationMillis}ms), waiting for at least 500ms...`);
-            return;
-          }
-          
-          try {
-            // Stop current recording
-            await currentRecordingRef.current.stopAndUnloadAsync();
-            logger?.log('Successfully stopped current recording segment');
-            
-            // Process the audio
-            await processAndSendAudio(uri, streamInterval++);
-            
-            // Start new recording
-            const { recording: nextRecording } = await Audio.Recording.createAsync(recordingOptions);
-            currentRecordingRef.current = nextRecording;
-            setRecording(nextRecording);
-            lastRecordingTime = now;
-            
-          } catch (error) {
-            logger?.log(`Error in recording cycle: ${error.message}`);
-            
-            // Try to recover by starting a new recording
-            try {
-              const { recording: recoveryRecording } = await Audio.Recording.createAsync(recordingOptions);
-              currentRecordingRef.current = recoveryRecording;
-              setRecording(recoveryRecording);
-              lastRecordingTime = now;
-              logger?.log('Recovery recording started successfully');
-            } catch (recoveryError) {
-              logger?.log(`Failed to start recovery recording: ${recoveryError.message}`);
-            }
-          }
-        } catch (error) {
-          logger?.log(`Error in processCurrentSegment: ${error.message}`);
+      updatePauses([
+        ...pausesRef.current,
+        {
+          time: audioStreamRef.current.getPosition(),
+          pausedAt: new Date().toISOString(),
+          durationMs: null
         }
-      };
-      
-      // Set up the recording interval
-      recordingIntervalRef.current = setInterval(processCurrentSegment, 200);
+      ]);
       
-      // Setup metering updates for visualization
-      meteringIntervalRef.current = setInterval(async () => {
-        try {
-          if (recording) {
-            const status = await recording.getStatusAsync();
-            if (status.isRecording && status.metering !== undefined) {
-              // Convert dB meter value to a 0-1 scale
-              const meterLevel = Math.max(-60, status.metering);
-              const normalizedValue = (meterLevel + 60) / 60;
-              
-              // Update waveform visualization
-              setMeteringValues(prev => {
-                const newValues = [...prev, normalizedValue];
-                // Keep a maximum of 100 values
-                if (newValues.length > 100) {
-                  return newValues.slice(-100);
-                }
-                return newValues;
-              });
-            }
-          }
-        } catch (err) {
-          // Ignore errors from checking metering
+      // No audio is sent while paused, so keep the socket open
+      pauseKeepAliveIntervalRef.current = setInterval(() => {
+        if (onKeepAliveRef.current) {
+          onKeepAliveRef.current();
         }
-      }, 100);
+      }, KEEPALIVE_INTERVAL_MS);
       
-      setStatus('Recording with continuous streaming');
+      setIsPaused(true);
+      setStatus('Paused');
+      logger?.log('Recording paused');
+    } catch (err) {
+      logger?.log(`Failed to pause recording: ${err.message}`);
+      setStatus('Error pausing recording');
+    } finally {
       setIsLoading(false);
+    }
+  };
+  
+  /**
+   * Resumes capture after a pause
+   */
+  const resumeRecording = async () => {
+    if (!audioStreamRef.current || !isPaused) {
+      return;
+    }
+    
+    try {
+      setIsLoading(true);
+      clearPauseKeepAlive();
+      closeCurrentPause();
+      
+      await audioStreamRef.current.resume();
+      lastKeepAliveRef.current = Date.now();
+      
+      setIsPaused(false);
+      setStatus(getRecordingStatus());
+      logger?.log('Recording resumed');
     } catch (err) {
-      logger?.log(`Failed to start recording: ${err.message}`);
-      setStatus('Error starting recording');
+      logger?.log(`Failed to resume recording: ${err.message}`);
+      setStatus('Error resuming recording');
+    } finally {
       setIsLoading(false);
-      stopRecording();
     }
   };
   
+  /**
+   * Drops a bookmark at the current position in the session audio, which is
+   * also the transcript's clock
+   * 
+   * @returns {Object|null} The new bookmark, or null when not recording
+   */
+  const addBookmark = () => {
+    if (!audioStreamRef.current) {
+      return null;
+    }
+    
+    const bookmark = {
+      id: `bookmark-${bookmarksRef.current.length + 1}`,
+      time: audioStreamRef.current.getPosition(),
+      createdAt: new Date().toISOString(),
+      note: ''
+    };
+    updateBookmarks([...bookmarksRef.current, bookmark]);
+    logger?.log(`Bookmark added at ${bookmark.time.toFixed(2)}s`);
+    return bookmark;
+  };
+  
+  /**
+   * Sets the note of a bookmark in the current session
+   * 
+   * @param {string} id - Bookmark identifier
+   * @param {string} note - Note text
+   */
+  const setBookmarkNote = (id, note) => {
+    updateBookmarks(bookmarksRef.current.map(bookmark => (
+      bookmark.id === id ? { ...bookmark, note: note.trim() } : bookmark
+    )));
+  };
+  
   /**
    * Stops recording audio
+   * 
+   * @returns {Promise<Object>} { audioUri, stats, pauses, bookmarks, waveform, quality } with the
+   *   URI of the session WAV file when audio was kept, how much audio was captured, streamed and
+   *   skipped as silence, where the session was paused and bookmarked, the session's level
+   *   envelope as { bucketSeconds, values } and a summary of the input quality
    */
   const stopRecording = async () => {
+    let audioUri = null;
+    let stats = null;
+    
     try {
       setIsLoading(true);
       logger?.log('Stopping recording...');
       
-      // Clear intervals
-      if (recordingIntervalRef.current) {
-        clearInterval(recordingIntervalRef.current);
-        recordingIntervalRef.current = null;
-      }
+      // Stopping while paused ends the pause
+      clearPauseKeepAlive();
+      closeCurrentPause();
+      setIsPaused(false);
       
-      if (meteringIntervalRef.current) {
-        clearInterval(meteringIntervalRef.current);
-        meteringIntervalRef.current = null;
+      if (levelIntervalRef.current) {
+        clearInterval(levelIntervalRef.current);
+        levelIntervalRef.current = null;
       }
       
-      // Stop current recording
-      if (recording) {
+      // Stop the stream; its last partial frame is still delivered
+      if (audioStreamRef.current) {
         try {
-          await recording.stopAndUnloadAsync();
+          await audioStreamRef.current.stop();
         } catch (error) {
           logger?.log(`Error stopping recording: ${error.message}`);
         }
-        setRecording(null);
+        stats = getStreamStats();
+        audioStreamRef.current = null;
+        vadRef.current = null;
+      }
+      
+      // Show the envelope up to the last frame
+      if (sessionEnvelopeRef.current) {
+        setWaveform(sessionEnvelopeRef.current.toJSON());
+      }
+      setLevels(SILENT_LEVELS);
+      setQualityIssues([]);
+      pendingLevelsRef.current = null;
+      
+      if (stats && stats.skippedSeconds > 0) {
+        logger?.log(`Skipped ${stats.skippedSeconds.toFixed(1)}s of ${stats.capturedSeconds.toFixed(1)}s as silence`);
+      }
+      
+      // Write the session file with its final header
+      if (sessionAudioWriterRef.current) {
+        const writer = sessionAudioWriterRef.current;
+        sessionAudioWriterRef.current = null;
+        try {
+          audioUri = await writer.finish();
+        } catch (error) {
+          logger?.log(`Error writing session audio: ${error.message}`);
+        }
       }
       
       setIsRecording(false);
@@ -352,18 +529,42 @@ const useAudioRecording = ({ onAudioData, logger }) => {
       setStatus('Error stopping recording');
       setIsLoading(false);
     }
+    
+    const envelope = sessionEnvelopeRef.current ? sessionEnvelopeRef.current.toJSON() : null;
+    const quality = qualityMonitorRef.current ? qualityMonitorRef.current.getSummary() : null;
+    return {
+      audioUri,
+      stats,
+      pauses: pausesRef.current,
+      bookmarks: bookmarksRef.current,
+      waveform: envelope,
+      quality
+    };
   };
   
   return {
     isRecording,
+    isPaused,
+    pauses,
+    bookmarks,
     isLoading,
     permission,
     status,
-    meteringValues,
+    levels,
+    waveform,
+    qualityIssues,
+    keepAudio,
+    setKeepAudio,
+    vadSettings,
+    setVadSettings,
     startRecording,
     stopRecording,
+    pauseRecording,
+    resumeRecording,
+    addBookmark,
+    setBookmarkNote,
     getPermissions,
   };
 };
 
-export default useAudioRecording; 
\ No newline at end of file
+export default useAudioRecording;
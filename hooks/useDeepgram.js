@@ -1,89 +1,127 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
-import DeepgramService from '../services/deepgramService';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
+import createTranscriptionProvider, { PROVIDERS } from '../services/providerFactory';
+import {
+  createTranscript,
+  createSegment,
+  addSegment,
+  clearPending,
+  startSpeechRegion,
+  endSpeechRegion,
+  renameSpeaker as renameTranscriptSpeaker,
+  getTranscriptText,
+  getPendingText,
+  getSpeakerTurns,
+  getDetectedLanguage
+} from '../utils/transcriptModel';
+import {
+  DEFAULT_MODEL,
+  DEFAULT_LANGUAGE,
+  isLanguageSupported,
+  getLanguageLabel
+} from '../utils/transcriptionOptions';
+import { DEFAULT_STREAM_FORMAT } from '../utils/audioFormat';
+import { redactSegment } from '../utils/redaction';
+import { canAnalyzeLanguage } from '../utils/audioIntelligence';
 
 /**
  * Custom hook for managing Deepgram transcription
  * 
  * @param {Object} options - Hook options
  * @param {string} options.apiKey - Deepgram API key
+ * @param {string} [options.localUrl] - WebSocket URL of a local ASR server
+ * @param {string} [options.localToken] - Optional token for the local ASR server
+ * @param {Array<Object>} [options.vocabulary] - Custom vocabulary terms as { term, boost }
+ * @param {Function} [options.onFinalSegment] - Called with each segment committed to the transcript
  * @param {Function} options.logger - Logger function for Deepgram events
  * @returns {Object} Deepgram control methods and state
  */
-const useDeepgram = ({ apiKey, logger }) => {
+const useDeepgram = ({ apiKey, localUrl, localToken, vocabulary = [], onFinalSegment, logger }) => {
   // Transcription state
-  const [transcription, setTranscription] = useState('');
+  const [transcript, setTranscript] = useState(createTranscript);
   const [isConnected, setIsConnected] = useState(false);
+  const [reconnectAttempt, setReconnectAttempt] = useState(0);
   
   // Deepgram configuration
   const [interimResults, setInterimResults] = useState(true);
   const [smartFormat, setSmartFormat] = useState(true);
   const [punctuate, setPunctuate] = useState(true);
+  const [diarize, setDiarize] = useState(false);
+  const [redact, setRedact] = useState(false);
+  const [model, setModel] = useState(DEFAULT_MODEL);
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+  const [provider, setProvider] = useState(PROVIDERS.DEEPGRAM);
   
   // Service reference
   const deepgramServiceRef = useRef(null);
   
+  // The provider's callbacks outlive renders, so they read the latest listener through a ref
+  const onFinalSegmentRef = useRef(onFinalSegment);
+  onFinalSegmentRef.current = onFinalSegment;
+  
+  // Plain text is always derived from the structured transcript
+  const transcription = useMemo(() => getTranscriptText(transcript), [transcript]);
+  const interimTranscription = useMemo(() => getPendingText(transcript), [transcript]);
+  const speakerTurns = useMemo(() => getSpeakerTurns(transcript.segments), [transcript]);
+  const detectedLanguage = useMemo(() => getDetectedLanguage(transcript), [transcript]);
+  
+  // Fall back to the default language when the chosen model doesn't offer the current one
+  useEffect(() => {
+    if (!isLanguageSupported(model, language)) {
+      logger?.log(`Model ${model} does not support ${language}, using ${DEFAULT_LANGUAGE}`);
+      setLanguage(DEFAULT_LANGUAGE);
+    }
+  }, [model, language]);
+  
   /**
-   * Initializes the Deepgram service
+   * Initializes the transcription provider selected in the options
    */
   const initializeDeepgram = useCallback(() => {
-    if (!apiKey) {
+    if (provider === PROVIDERS.DEEPGRAM && !apiKey) {
       logger?.log('ERROR: Deepgram API Key is undefined or empty');
       return false;
     }
     
+    if (provider === PROVIDERS.LOCAL && !localUrl) {
+      logger?.log('ERROR: Local ASR URL is undefined or empty');
+      return false;
+    }
+    
     // Create event handlers
-    const onTranscriptReceived = (transcript, isFinal, response) => {
-      if (transcript && transcript.trim()) {
-        logger?.log(`Transcript received (${isFinal ? 'final' : 'interim'}): ${transcript}`);
+    const onTranscriptReceived = (text, isFinal, response) => {
+      if (text && text.trim()) {
+        logger?.log(`Transcript received (${isFinal ? 'final' : 'interim'}): ${text.trim().split(/\s+/).length} word(s)`);
         
-        if (isFinal) {
-          // For final results, append to the transcription
-          setTranscription(prev => {
-            // Don't add duplicates
-            if (prev.endsWith(transcript)) {
-              logger?.log('Duplicate transcript detected, skipping');
-              return prev;
-            }
-            
-            // Add proper spacing
-            const needsSpace = prev.length > 0 && 
-                              ![' ', '.', '?', '!', ','].includes(prev[prev.length - 1]);
-            const newTranscription = prev + (needsSpace ? ' ' : '') + transcript;
-            logger?.log(`Updated transcription: ${newTranscription}`);
-            return newTranscription;
-          });
-        } else if (interimResults) {
-          logger?.log('Processing interim result');
-          // For interim results, show them in the UI without permanently saving
-          setTranscription(prev => {
-            // Find the last sentence end
-            const lastCompleteSentenceEnd = Math.max(
-              prev.lastIndexOf('. '),
-              prev.lastIndexOf('? '),
-              prev.lastIndexOf('! ')
-            );
-            
-            // If there's a complete sentence, keep it and add the interim result
-            if (lastCompleteSentenceEnd >= 0) {
-              const completePart = prev.substring(0, lastCompleteSentenceEnd + 2);
-              const newTranscription = completePart + transcript;
-              logger?.log(`Updated interim transcription: ${newTranscription}`);
-              return newTranscription;
-            }
-            
-            logger?.log(`Setting interim transcription: ${transcript}`);
-            return transcript;
+        if (isFinal || interimResults) {
+          // Redacted locally too, in case the provider missed something or doesn't redact
+          const segment = redact ? redactSegment(createSegment(response)) : createSegment(response);
+          
+          // Final results are committed, interim ones only replace the pending buffer.
+          // The end of an utterance also ends the speech region it belongs to.
+          setTranscript(prev => {
+            const next = addSegment(prev, segment);
+            return segment && response.speech_final ? endSpeechRegion(next, segment.end) : next;
           });
+          
+          if (isFinal && segment && onFinalSegmentRef.current) {
+            onFinalSegmentRef.current(segment);
+          }
+          logger?.log(`Updated transcript with ${isFinal ? 'final' : 'interim'} segment at ${segment?.start?.toFixed(2)}s`);
         }
       }
     };
     
-    const onSpeechStarted = () => {
+    const onSpeechStarted = (response) => {
       logger?.log('Speech detected by Deepgram');
+      if (typeof response?.timestamp === 'number') {
+        setTranscript(prev => startSpeechRegion(prev, response.timestamp));
+      }
     };
     
-    const onSpeechFinished = () => {
+    const onSpeechFinished = (response) => {
       logger?.log('Speech finished');
+      if (typeof response?.last_word_end === 'number') {
+        setTranscript(prev => endSpeechRegion(prev, response.last_word_end));
+      }
     };
     
     const onError = (error) => {
@@ -95,42 +133,75 @@ const useDeepgram = ({ apiKey, logger }) => {
       setIsConnected(false);
     };
     
-    // Create Deepgram service
-    deepgramServiceRef.current = new DeepgramService({
+    const onReconnecting = (attempt) => {
+      setIsConnected(false);
+      setReconnectAttempt(attempt);
+    };
+    
+    const onReconnected = () => {
+      setIsConnected(true);
+      setReconnectAttempt(0);
+    };
+    
+    const onReconnectFailed = (attempts) => {
+      logger?.log(`Could not reconnect after ${attempts} attempt(s), audio will not be transcribed`);
+      setIsConnected(false);
+      setReconnectAttempt(0);
+    };
+    
+    // Create the transcription provider
+    deepgramServiceRef.current = createTranscriptionProvider(provider, {
       apiKey,
+      localUrl,
+      localToken,
       onTranscriptReceived,
       onSpeechStarted,
       onSpeechFinished,
       onError,
       onClose,
+      onReconnecting,
+      onReconnected,
+      onReconnectFailed,
       logger: {
         log: (message) => logger?.log(message)
       }
     });
     
     return true;
-  }, [apiKey, interimResults, logger]);
+  }, [apiKey, localUrl, localToken, provider, interimResults, redact, logger]);
   
   /**
    * Connects to the Deepgram API
    * 
+   * @param {Object} [options] - Connection options
+   * @param {Object} [options.audioFormat] - Format of the audio stream that will be sent
    * @returns {Promise<boolean>} Whether connection was successful
    */
-  const connectToDeepgram = useCallback(async () => {
+  const connectToDeepgram = useCallback(async ({ audioFormat = DEFAULT_STREAM_FORMAT } = {}) => {
     try {
-      if (!deepgramServiceRef.current) {
-        const initialized = initializeDeepgram();
-        if (!initialized) {
-          return false;
-        }
+      // Recreate the service so it picks up the current provider and options
+      if (deepgramServiceRef.current) {
+        deepgramServiceRef.current.disconnect();
+        deepgramServiceRef.current = null;
       }
       
-      logger?.log('Connecting to Deepgram...');
+      const initialized = initializeDeepgram();
+      if (!initialized) {
+        return false;
+      }
+      
+      logger?.log(`Connecting to ${deepgramServiceRef.current.name}...`);
       
       const connected = await deepgramServiceRef.current.connect({
         interimResults,
         punctuate,
-        smartFormat
+        smartFormat,
+        diarize,
+        model,
+        language,
+        vocabulary,
+        redact,
+        audioFormat
       });
       
       setIsConnected(connected);
@@ -140,16 +211,23 @@ const useDeepgram = ({ apiKey, logger }) => {
       setIsConnected(false);
       return false;
     }
-  }, [initializeDeepgram, interimResults, punctuate, smartFormat, logger]);
+  }, [initializeDeepgram, interimResults, punctuate, smartFormat, diarize, model, language, vocabulary, redact, logger]);
   
   /**
-   * Disconnects from the Deepgram API
+   * Disconnects from the Deepgram API after the final results for the audio
+   * already sent have arrived
+   * 
+   * @returns {Promise<void>}
    */
-  const disconnectFromDeepgram = useCallback(() => {
+  const disconnectFromDeepgram = useCallback(async () => {
     try {
       if (deepgramServiceRef.current) {
-        deepgramServiceRef.current.disconnect();
+        await deepgramServiceRef.current.finish();
         setIsConnected(false);
+        setReconnectAttempt(0);
+        
+        // An interim result that never got finalized is not part of the transcript
+        setTranscript(clearPending);
         logger?.log('Disconnected from Deepgram');
       }
     } catch (error) {
@@ -158,72 +236,167 @@ const useDeepgram = ({ apiKey, logger }) => {
   }, [logger]);
   
   /**
-   * Sends audio data to Deepgram for processing
+   * Sends audio data to Deepgram for processing. While the connection is
+   * down the service buffers the audio and reconnects on its own.
    * 
    * @param {Uint8Array} audioData - Audio data to send
    * @param {number} chunkNumber - Sequential number of this audio chunk
-   * @returns {boolean} Whether sending was successful
+   * @param {number} [time] - Position of the chunk in the session in seconds
+   * @returns {boolean} Whether the audio was sent or buffered
    */
-  const sendAudioToDeepgram = useCallback((audioData, chunkNumber) => {
+  const sendAudioToDeepgram = useCallback((audioData, chunkNumber, time) => {
     try {
       if (!deepgramServiceRef.current) {
         logger?.log('Deepgram service not initialized');
         return false;
       }
       
-      if (!isConnected) {
-        // If the state says we're not connected, but this is not the first chunk,
-        // try to reconnect before giving up
-        if (chunkNumber > 0) {
-          logger?.log(`Connection to Deepgram lost. Attempting to reconnect before sending chunk #${chunkNumber}...`);
-          
-          // Try to reconnect - use a synchronous check first
-          const socketState = deepgramServiceRef.current.getSocketState();
-          if (socketState !== WebSocket.OPEN) {
-            // Don't wait for reconnection here, just log the attempt
-            connectToDeepgram().then(connected => {
-              logger?.log(`Reconnection attempt ${connected ? 'successful' : 'failed'}`);
-            });
-            logger?.log('Not connected to Deepgram, queued reconnection attempt');
-            return false;
-          } else {
-            // Socket is actually open but state is wrong - fix the state
-            logger?.log('Fixing incorrect connection state - socket is actually open');
-            setIsConnected(true);
-          }
-        } else {
-          logger?.log('Not connected to Deepgram');
-          return false;
-        }
+      const sent = deepgramServiceRef.current.sendAudio(audioData, time);
+      if (!sent) {
+        logger?.log(`Audio chunk #${chunkNumber} was not sent`);
       }
-      
-      return deepgramServiceRef.current.sendAudio(audioData);
+      return sent;
     } catch (error) {
       logger?.log(`Error sending audio to Deepgram: ${error.message}`);
       return false;
     }
-  }, [isConnected, logger, connectToDeepgram]);
+  }, [logger]);
+  
+  /**
+   * Transcribes an existing audio file with the selected provider and the
+   * current transcription options
+   * 
+   * @param {string} uri - Local URI of the audio file
+   * @param {Object} [options] - Upload options
+   * @param {string} [options.mimeType] - Content type of the file
+   * @returns {Promise<Object>} The provider's pre-recorded response
+   * @throws {Error} When the provider is not configured or the request fails
+   */
+  const transcribeFile = useCallback(async (uri, { mimeType } = {}) => {
+    const service = createTranscriptionProvider(provider, {
+      apiKey,
+      localUrl,
+      localToken,
+      logger: {
+        log: (message) => logger?.log(message)
+      }
+    });
+    
+    return service.transcribeFile(uri, {
+      mimeType,
+      punctuate,
+      smartFormat,
+      diarize,
+      model,
+      language,
+      vocabulary,
+      redact
+    });
+  }, [apiKey, localUrl, localToken, provider, punctuate, smartFormat, diarize, model, language, vocabulary, redact, logger]);
+  
+  /**
+   * Runs Deepgram's audio intelligence on an audio file: a summary, topics,
+   * intents and sentiment. These only exist in Deepgram's pre-recorded API,
+   * so Deepgram is used whichever provider is selected for streaming.
+   * 
+   * @param {string} uri - Local URI of the audio file
+   * @param {Object} [options] - Options the audio was transcribed with
+   * @param {string} [options.model] - Deepgram model; the selected one if missing
+   * @param {string} [options.language] - Language code; the selected one if missing
+   * @param {boolean} [options.redact] - Whether to redact PII; the current setting if missing
+   * @returns {Promise<Object>} Deepgram's pre-recorded response with the intelligence results
+   * @throws {Error} When the audio is not English, the API key is missing or the request fails
+   */
+  const analyzeFile = useCallback(async (uri, options = {}) => {
+    // Deepgram rejects or ignores the intelligence features for other languages
+    const analysisLanguage = options.language || language;
+    if (!canAnalyzeLanguage(analysisLanguage)) {
+      const transcribedAs = analysisLanguage === 'multi'
+        ? 'with auto-detect'
+        : `in ${getLanguageLabel(analysisLanguage)}`;
+      throw new Error('Summaries, topics, intents and sentiment are only available for English audio; ' +
+        `this session was transcribed ${transcribedAs}`);
+    }
+    
+    const service = createTranscriptionProvider(PROVIDERS.DEEPGRAM, {
+      apiKey,
+      logger: {
+        log: (message) => logger?.log(message)
+      }
+    });
+    
+    return service.transcribeFile(uri, {
+      punctuate: true,
+      smartFormat: true,
+      model: options.model || model,
+      language: analysisLanguage,
+      redact: options.redact ?? redact,
+      summarize: true,
+      topics: true,
+      intents: true,
+      sentiment: true
+    });
+  }, [apiKey, model, language, redact, logger]);
+  
+  /**
+   * Keeps the connection open while the recorder is skipping silence
+   * 
+   * @returns {boolean} Whether a keepalive was sent
+   */
+  const sendKeepAlive = useCallback(() => (
+    deepgramServiceRef.current ? deepgramServiceRef.current.keepAlive() : false
+  ), []);
   
   /**
    * Clears the current transcription
    */
   const clearTranscription = useCallback(() => {
-    setTranscription('');
+    setTranscript(createTranscript());
+  }, []);
+  
+  /**
+   * Sets the display name of a diarized speaker
+   * 
+   * @param {number} speaker - Speaker index from Deepgram
+   * @param {string} name - New display name, empty to reset
+   */
+  const renameSpeaker = useCallback((speaker, name) => {
+    setTranscript(prev => renameTranscriptSpeaker(prev, speaker, name));
   }, []);
   
   return {
+    transcript,
     transcription,
+    interimTranscription,
+    speakerTurns,
+    speakerNames: transcript.speakerNames,
+    detectedLanguage,
     isConnected,
+    reconnectAttempt,
     interimResults,
     setInterimResults,
     smartFormat,
     setSmartFormat,
     punctuate,
     setPunctuate,
+    diarize,
+    setDiarize,
+    redact,
+    setRedact,
+    model,
+    setModel,
+    language,
+    setLanguage,
+    provider,
+    setProvider,
     connectToDeepgram,
     disconnectFromDeepgram,
     sendAudioToDeepgram,
-    clearTranscription
+    sendKeepAlive,
+    transcribeFile,
+    analyzeFile,
+    clearTranscription,
+    renameSpeaker
   };
 };
 
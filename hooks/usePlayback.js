@@ -0,0 +1,169 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Audio } from 'expo-av';
+
+// How often the position is reported while playing, in milliseconds
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Custom hook for playing back a session's audio file
+ *
+ * @param {Object} options - Hook options
+ * @param {string|null} options.uri - URI of the audio file, or null when the session has none
+ * @param {Function} [options.logger] - Logger function for playback events
+ * @returns {Object} Playback state (in seconds) and control methods
+ */
+const usePlayback = ({ uri, logger }) => {
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [duration, setDuration] = useState(0);
+
+  const soundRef = useRef(null);
+  const hasFinishedRef = useRef(false);
+
+  // Read through a ref so the controls stay stable across renders
+  const loggerRef = useRef(logger);
+  loggerRef.current = logger;
+
+  /**
+   * Mirrors the sound's status into state
+   *
+   * @param {Object} status - expo-av playback status
+   */
+  const handleStatus = useCallback((status) => {
+    if (!status.isLoaded) {
+      if (status.error) {
+        loggerRef.current?.log(`Playback error: ${status.error}`);
+      }
+      return;
+    }
+
+    setPosition(status.positionMillis / 1000);
+    if (typeof status.durationMillis === 'number') {
+      setDuration(status.durationMillis / 1000);
+    }
+    setIsPlaying(status.isPlaying);
+
+    if (status.didJustFinish) {
+      hasFinishedRef.current = true;
+    }
+  }, []);
+
+  // Load the file whenever it changes and release it when done
+  useEffect(() => {
+    if (!uri) {
+      return undefined;
+    }
+
+    let isCancelled = false;
+
+    const load = async () => {
+      try {
+        // Recording mode routes iOS playback to the earpiece at low volume
+        await Audio.setAudioModeAsync({
+          allowsRecordingIOS: false,
+          playsInSilentModeIOS: true,
+        });
+
+        const { sound } = await Audio.Sound.createAsync(
+          { uri },
+          { progressUpdateIntervalMillis: PROGRESS_INTERVAL_MS },
+          handleStatus
+        );
+
+        if (isCancelled) {
+          await sound.unloadAsync();
+          return;
+        }
+
+        soundRef.current = sound;
+        hasFinishedRef.current = false;
+        setIsLoaded(true);
+      } catch (error) {
+        loggerRef.current?.log(`Error loading audio for playback: ${error.message}`);
+      }
+    };
+
+    load();
+
+    return () => {
+      isCancelled = true;
+      const sound = soundRef.current;
+      soundRef.current = null;
+      setIsLoaded(false);
+      setIsPlaying(false);
+      setPosition(0);
+      if (sound) {
+        sound.unloadAsync().catch(() => {});
+      }
+    };
+  }, [uri]);
+
+  /**
+   * Starts or continues playback, from the beginning if it had finished
+   */
+  const play = useCallback(async () => {
+    const sound = soundRef.current;
+    if (!sound) {
+      return;
+    }
+
+    try {
+      if (hasFinishedRef.current) {
+        hasFinishedRef.current = false;
+        await sound.setPositionAsync(0);
+      }
+      await sound.playAsync();
+    } catch (error) {
+      loggerRef.current?.log(`Error starting playback: ${error.message}`);
+    }
+  }, []);
+
+  /**
+   * Pauses playback
+   */
+  const pause = useCallback(async () => {
+    if (!soundRef.current) {
+      return;
+    }
+
+    try {
+      await soundRef.current.pauseAsync();
+    } catch (error) {
+      loggerRef.current?.log(`Error pausing playback: ${error.message}`);
+    }
+  }, []);
+
+  /**
+   * Moves the playback position
+   *
+   * @param {number} seconds - New position in seconds
+   */
+  const seek = useCallback(async (seconds) => {
+    if (!soundRef.current) {
+      return;
+    }
+
+    const target = Math.max(0, seconds);
+    hasFinishedRef.current = false;
+    setPosition(target);
+
+    try {
+      await soundRef.current.setPositionAsync(Math.round(target * 1000));
+    } catch (error) {
+      loggerRef.current?.log(`Error seeking playback: ${error.message}`);
+    }
+  }, []);
+
+  return {
+    isLoaded,
+    isPlaying,
+    position,
+    duration,
+    play,
+    pause,
+    seek,
+  };
+};
+
+export default usePlayback;
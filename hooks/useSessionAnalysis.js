@@ -0,0 +1,68 @@
+import { useState, useCallback, useRef } from 'react';
+import { getSessionAudioUri } from '../services/sessionStore';
+import { createAnalysis } from '../utils/audioIntelligence';
+
+/**
+ * Custom hook for analyzing saved sessions with Deepgram's audio intelligence
+ * 
+ * @param {Object} options - Hook options
+ * @param {Array<Object>} options.sessions - Saved sessions
+ * @param {Function} options.analyzeFile - Function called with (uri, sessionOptions) that resolves
+ *   to a pre-recorded response with the intelligence results
+ * @param {Function} options.saveSession - Function called with the analyzed session to store it
+ * @param {Function} options.logger - Logger function for analysis events
+ * @returns {Object} Analysis state and the analyze method
+ */
+const useSessionAnalysis = ({ sessions, analyzeFile, saveSession, logger }) => {
+  // Id of the session being analyzed
+  const [analyzingId, setAnalyzingId] = useState(null);
+  // Why the last analysis failed, as { sessionId, message }
+  const [analysisError, setAnalysisError] = useState(null);
+  
+  // The request takes a while, so the result is saved onto the latest version of the session
+  const sessionsRef = useRef(sessions);
+  sessionsRef.current = sessions;
+  
+  /**
+   * Sends a session's audio for analysis and saves the results with it
+   * 
+   * @param {Object} session - Saved session with audio
+   * @returns {Promise<Object|null>} The updated session, or null when the analysis failed
+   */
+  const analyzeSession = useCallback(async (session) => {
+    const uri = getSessionAudioUri(session);
+    if (!uri) {
+      setAnalysisError({ sessionId: session.id, message: 'This session has no saved audio to analyze' });
+      return null;
+    }
+    
+    setAnalyzingId(session.id);
+    setAnalysisError(null);
+    logger?.log(`Analyzing session ${session.id}`);
+    
+    try {
+      const response = await analyzeFile(uri, session.options);
+      const latest = sessionsRef.current.find(existing => existing.id === session.id);
+      if (!latest) {
+        logger?.log(`Session ${session.id} was deleted during analysis`);
+        return null;
+      }
+      
+      return await saveSession({ ...latest, analysis: createAnalysis(response) });
+    } catch (error) {
+      logger?.log(`Error analyzing session ${session.id}: ${error.message}`);
+      setAnalysisError({ sessionId: session.id, message: `Analysis failed: ${error.message}` });
+      return null;
+    } finally {
+      setAnalyzingId(null);
+    }
+  }, [analyzeFile, saveSession, logger]);
+  
+  return {
+    analyzingId,
+    analysisError,
+    analyzeSession
+  };
+};
+
+export default useSessionAnalysis;
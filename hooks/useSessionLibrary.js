@@ -0,0 +1,106 @@
+import { useState, useCallback, useEffect } from 'react';
+import {
+  listSessions,
+  saveSession as saveSessionToStore,
+  deleteSession as deleteSessionFromStore
+} from '../services/sessionStore';
+import exportSessionToFile from '../services/exportService';
+import { redactSession } from '../utils/redaction';
+
+/**
+ * Custom hook for managing the library of saved sessions
+ * 
+ * @param {Object} options - Hook options
+ * @param {Function} options.logger - Logger function for library events
+ * @returns {Object} Saved sessions and methods to change them
+ */
+const useSessionLibrary = ({ logger }) => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  
+  /**
+   * Reloads the session list from storage
+   */
+  const refreshSessions = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const saved = await listSessions();
+      setSessions(saved);
+    } catch (error) {
+      logger?.log(`Error loading sessions: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [logger]);
+  
+  // Load the library on mount
+  useEffect(() => {
+    refreshSessions();
+  }, []);
+  
+  /**
+   * Saves a new or updated session. Every session is redacted locally on
+   * every save, whatever the Redact PII setting, which also covers text typed
+   * in afterwards.
+   * 
+   * @param {Object} session - Session record
+   * @param {Object} [options] - Save options passed to the store (e.g. audioUri)
+   * @returns {Promise<Object|null>} The saved session, or null on failure
+   */
+  const saveSession = useCallback(async (session, options) => {
+    try {
+      const saved = await saveSessionToStore(redactSession(session), options);
+      setSessions(prev => [saved, ...prev.filter(existing => existing.id !== saved.id)]
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt)));
+      logger?.log(`Saved session ${saved.id}`);
+      return saved;
+    } catch (error) {
+      logger?.log(`Error saving session: ${error.message}`);
+      return null;
+    }
+  }, [logger]);
+  
+  /**
+   * Deletes a session
+   * 
+   * @param {string} id - Session identifier
+   */
+  const deleteSession = useCallback(async (id) => {
+    try {
+      await deleteSessionFromStore(id);
+      setSessions(prev => prev.filter(session => session.id !== id));
+      logger?.log(`Deleted session ${id}`);
+    } catch (error) {
+      logger?.log(`Error deleting session: ${error.message}`);
+    }
+  }, [logger]);
+  
+  /**
+   * Exports a session transcript to a file
+   * 
+   * @param {Object} session - Session record
+   * @param {string} format - Export format, e.g. `srt` or `md`
+   * @returns {Promise<string|null>} URI of the exported file, or null on failure
+   */
+  const exportSession = useCallback(async (session, format) => {
+    try {
+      const uri = await exportSessionToFile(session, format);
+      logger?.log(`Exported session ${session.id} as ${format} to ${uri}`);
+      return uri;
+    } catch (error) {
+      logger?.log(`Error exporting session: ${error.message}`);
+      return null;
+    }
+  }, [logger]);
+  
+  return {
+    sessions,
+    isLoading,
+    refreshSessions,
+    saveSession,
+    deleteSession,
+    exportSession
+  };
+};
+
+export default useSessionLibrary;
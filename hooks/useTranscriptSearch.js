@@ -0,0 +1,76 @@
+import { useEffect, useRef, useCallback } from 'react';
+import SearchIndex from '../utils/searchIndex';
+
+/**
+ * Custom hook for searching the transcripts of saved sessions
+ *
+ * @param {Object} options - Hook options
+ * @param {Array<Object>} options.sessions - Saved sessions to index
+ * @returns {Object} Search and incremental indexing methods
+ */
+const useTranscriptSearch = ({ sessions }) => {
+  const indexRef = useRef(null);
+  if (!indexRef.current) {
+    indexRef.current = new SearchIndex();
+  }
+
+  // Session records as last indexed, to skip the ones that didn't change
+  const indexedRef = useRef(new Map());
+
+  // Keep the index in step with the library
+  useEffect(() => {
+    const index = indexRef.current;
+    const indexed = indexedRef.current;
+    const ids = new Set(sessions.map(session => session.id));
+
+    sessions.forEach(session => {
+      if (indexed.get(session.id) !== session) {
+        index.indexSession(session);
+        indexed.set(session.id, session);
+      }
+    });
+
+    [...indexed.keys()]
+      .filter(id => !ids.has(id))
+      .forEach(id => {
+        index.removeSession(id);
+        indexed.delete(id);
+      });
+  }, [sessions]);
+
+  /**
+   * Adds a final segment of a session that is still being recorded
+   *
+   * @param {Object} session - Session as { id, title, startedAt }
+   * @param {Object} segment - Final transcript segment
+   */
+  const indexSegment = useCallback((session, segment) => {
+    indexRef.current.addSegment(session, segment);
+  }, []);
+
+  /**
+   * Removes the segments indexed for a session that was never saved
+   *
+   * @param {string} id - Session identifier
+   */
+  const unindexSession = useCallback((id) => {
+    indexRef.current.removeSession(id);
+    indexedRef.current.delete(id);
+  }, []);
+
+  /**
+   * Searches all indexed transcripts
+   *
+   * @param {string} query - Words and "quoted phrases"
+   * @returns {Array<Object>} Results as { sessionId, title, time, snippet }
+   */
+  const search = useCallback((query) => indexRef.current.search(query), []);
+
+  return {
+    search,
+    indexSegment,
+    unindexSession,
+  };
+};
+
+export default useTranscriptSearch;
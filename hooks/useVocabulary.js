@@ -0,0 +1,123 @@
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { loadVocabularyLists, saveVocabularyLists } from '../services/vocabularyStore';
+
+/**
+ * Custom hook for managing named custom vocabulary lists stored on the device
+ * 
+ * @param {Object} options - Hook options
+ * @param {Function} options.logger - Logger function for vocabulary events
+ * @returns {Object} Vocabulary lists, the selected list and editing methods
+ */
+const useVocabulary = ({ logger }) => {
+  const [lists, setLists] = useState([]);
+  const [selectedListId, setSelectedListId] = useState(null);
+  
+  // Load saved lists on mount
+  useEffect(() => {
+    loadVocabularyLists()
+      .then(savedLists => {
+        setLists(savedLists);
+        logger?.log(`Loaded ${savedLists.length} vocabulary list(s)`);
+      })
+      .catch(error => {
+        logger?.log(`Error loading vocabulary lists: ${error.message}`);
+      });
+  }, []);
+  
+  /**
+   * Applies a change to the lists and persists the result
+   * 
+   * @param {Function} update - Function mapping the current lists to new lists
+   */
+  const updateLists = useCallback((update) => {
+    setLists(prev => {
+      const next = update(prev);
+      saveVocabularyLists(next).catch(error => {
+        logger?.log(`Error saving vocabulary lists: ${error.message}`);
+      });
+      return next;
+    });
+  }, [logger]);
+  
+  /**
+   * Creates a new empty list and selects it
+   * 
+   * @param {string} name - Name of the list
+   */
+  const createList = useCallback((name) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      return;
+    }
+    
+    const id = `${Date.now()}`;
+    updateLists(prev => [...prev, { id, name: trimmed, terms: [] }]);
+    setSelectedListId(id);
+  }, [updateLists]);
+  
+  /**
+   * Deletes a list
+   * 
+   * @param {string} id - Identifier of the list
+   */
+  const deleteList = useCallback((id) => {
+    updateLists(prev => prev.filter(list => list.id !== id));
+    setSelectedListId(prev => (prev === id ? null : prev));
+  }, [updateLists]);
+  
+  /**
+   * Adds a term to a list, replacing the boost if the term already exists
+   * 
+   * @param {string} listId - Identifier of the list
+   * @param {string} term - Word or phrase to recognize
+   * @param {number} [boost] - Optional boost weight
+   */
+  const addTerm = useCallback((listId, term, boost) => {
+    const trimmed = (term || '').trim();
+    if (!trimmed) {
+      return;
+    }
+    
+    const entry = Number.isFinite(boost) ? { term: trimmed, boost } : { term: trimmed };
+    
+    updateLists(prev => prev.map(list => {
+      if (list.id !== listId) {
+        return list;
+      }
+      const terms = list.terms.filter(existing => existing.term.toLowerCase() !== trimmed.toLowerCase());
+      return { ...list, terms: [...terms, entry] };
+    }));
+  }, [updateLists]);
+  
+  /**
+   * Removes a term from a list
+   * 
+   * @param {string} listId - Identifier of the list
+   * @param {string} term - Term to remove
+   */
+  const removeTerm = useCallback((listId, term) => {
+    updateLists(prev => prev.map(list => (
+      list.id === listId
+        ? { ...list, terms: list.terms.filter(existing => existing.term !== term) }
+        : list
+    )));
+  }, [updateLists]);
+  
+  const selectedList = useMemo(
+    () => lists.find(list => list.id === selectedListId) || null,
+    [lists, selectedListId]
+  );
+  
+  return {
+    lists,
+    selectedList,
+    selectedListId,
+    setSelectedListId,
+    createList,
+    deleteList,
+    addTerm,
+    removeTerm
+  };
+};
+
+export default useVocabulary;
@@ -0,0 +1,209 @@
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Button,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  StyleSheet
+} from 'react-native';
+import Header from '../components/Header';
+import { getTranscriptText } from '../utils/transcriptModel';
+import { formatDuration, formatDateTime } from '../utils/formatTime';
+
+/**
+ * LibraryScreen lists saved sessions and lets users open or delete them
+ * 
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.sessions - Saved sessions, newest first
+ * @param {boolean} props.isLoading - Whether the library is loading
+ * @param {Function} props.onOpenSession - Function called with the id of the session to open and,
+ *   when opened from a search result, the time in seconds to jump to
+ * @param {Function} props.onDeleteSession - Function called with the id of the session to delete
+ * @param {Function} props.onImportAudio - Function to pick an audio file and transcribe it as a new session
+ * @param {boolean} props.isImporting - Whether an imported file is being transcribed
+ * @param {string|null} props.importError - Why the last import failed, if it did
+ * @param {Function} [props.onSearch] - Function called with a query; returns results as
+ *   { sessionId, title, time, snippet }
+ * @param {Function} props.onBack - Function to return to the recorder
+ * @returns {JSX.Element} LibraryScreen component
+ */
+const LibraryScreen = ({
+  sessions,
+  isLoading,
+  onOpenSession,
+  onDeleteSession,
+  onImportAudio,
+  isImporting,
+  importError,
+  onSearch,
+  onBack
+}) => {
+  const [query, setQuery] = useState('');
+  
+  // The index follows the library, so search again when the sessions change
+  const results = useMemo(
+    () => (onSearch && query.trim() ? onSearch(query) : []),
+    [query, sessions, onSearch]
+  );
+  const isSearching = !!query.trim();
+  
+  const confirmDelete = (session) => {
+    Alert.alert(
+      'Delete session?',
+      `"${session.title}" and its audio will be removed from this device.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => onDeleteSession(session.id) }
+      ]
+    );
+  };
+  
+  return (
+    <View>
+      <Header title="Session Library" subtitle={`${sessions.length} saved session(s)`} />
+      
+      <View style={styles.actions}>
+        <Button title="Back to Recorder" onPress={onBack} />
+      </View>
+      
+      <View style={styles.actions}>
+        <Button
+          title={isImporting ? 'Transcribing...' : 'Import Audio'}
+          onPress={onImportAudio}
+          disabled={isImporting}
+        />
+        {!!importError && <Text style={styles.errorText}>{importError}</Text>}
+      </View>
+      
+      {!!onSearch && (
+        <TextInput
+          style={styles.searchInput}
+          placeholder='Search transcripts, e.g. budget or "Q3 budget"'
+          value={query}
+          onChangeText={setQuery}
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+        />
+      )}
+      
+      {isLoading && <ActivityIndicator size="large" color="#0000ff" />}
+      
+      {isSearching && results.length === 0 && (
+        <Text style={styles.emptyText}>No transcripts match "{query.trim()}".</Text>
+      )}
+      
+      {isSearching && results.map((result, index) => (
+        <TouchableOpacity
+          key={`${result.sessionId}-${result.time}-${index}`}
+          style={styles.sessionCard}
+          onPress={() => onOpenSession(result.sessionId, result.time)}
+        >
+          <Text style={styles.sessionTitle}>{result.title}</Text>
+          <Text style={styles.sessionMeta}>at {formatDuration(result.time)}</Text>
+          <Text style={styles.sessionPreview}>
+            {result.snippet.before}{result.snippet.before ? ' ' : ''}
+            <Text style={styles.searchMatch}>{result.snippet.match}</Text>
+            {result.snippet.after ? ' ' : ''}{result.snippet.after}
+          </Text>
+        </TouchableOpacity>
+      ))}
+      
+      {!isSearching && !isLoading && sessions.length === 0 && (
+        <Text style={styles.emptyText}>No saved sessions yet. Record or import one to see it here.</Text>
+      )}
+      
+      {!isSearching && sessions.map(session => {
+        const preview = getTranscriptText(session.transcript);
+        return (
+          <TouchableOpacity
+            key={session.id}
+            style={styles.sessionCard}
+            onPress={() => onOpenSession(session.id)}
+          >
+            <View style={styles.sessionHeader}>
+              <Text style={styles.sessionTitle}>{session.title}</Text>
+              <TouchableOpacity onPress={() => confirmDelete(session)}>
+                <Text style={styles.deleteText}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+            <Text style={styles.sessionMeta}>
+              {formatDateTime(session.startedAt)} · {formatDuration(session.durationMs / 1000)}
+            </Text>
+            <Text style={styles.sessionPreview} numberOfLines={2}>
+              {preview || 'No speech transcribed'}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  actions: {
+    marginBottom: 15,
+  },
+  emptyText: {
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  searchInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    backgroundColor: 'white',
+    marginBottom: 15,
+  },
+  searchMatch: {
+    fontWeight: 'bold',
+    backgroundColor: '#fff3cd',
+  },
+  errorText: {
+    color: 'red',
+    marginTop: 5,
+  },
+  sessionCard: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  sessionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sessionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+  },
+  deleteText: {
+    color: '#dc3545',
+    marginLeft: 10,
+  },
+  sessionMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+  sessionPreview: {
+    fontSize: 14,
+    color: '#444',
+    marginTop: 6,
+  },
+});
+
+export default LibraryScreen;
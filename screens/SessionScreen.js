@@ -0,0 +1,468 @@
+import React, { useMemo, useState, useCallback, useEffect, useRef } from 'react';
+import { View, Text, Button, TouchableOpacity, Alert, StyleSheet } from 'react-native';
+import Header from '../components/Header';
+import Transcription from '../components/Transcription';
+import TranscriptEditor from '../components/TranscriptEditor';
+import SessionAnalysis from '../components/SessionAnalysis';
+import Waveform from '../components/Waveform';
+import OptionPicker from '../components/OptionPicker';
+import usePlayback from '../hooks/usePlayback';
+import { getSessionAudioUri } from '../services/sessionStore';
+import { readEnvelope } from '../utils/waveformEnvelope';
+import {
+  getTranscriptText,
+  getSpeakerTurns,
+  getAverageConfidence,
+  renameSpeaker
+} from '../utils/transcriptModel';
+import {
+  correctSegmentText,
+  splitSegment,
+  mergeWithNextSegment,
+  setSegmentSpeaker,
+  getWordIndexAt
+} from '../utils/transcriptEditing';
+import { QUALITY_ISSUES } from '../utils/audioQuality';
+import { formatDuration, formatDateTime } from '../utils/formatTime';
+import { EXPORT_FORMATS } from '../utils/transcriptExport';
+
+// Short names for the input problems in the session details
+const ISSUE_LABELS = {
+  [QUALITY_ISSUES.CLIPPING]: 'clipping',
+  [QUALITY_ISSUES.TOO_QUIET]: 'too quiet',
+  [QUALITY_ISSUES.NOISY]: 'noisy',
+};
+
+/**
+ * SessionScreen shows a saved session with its transcript and settings
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.session - The saved session
+ * @param {Function} props.onUpdateSession - Function called with the changed session to save it
+ * @param {Function} props.onDeleteSession - Function called with the id of the session to delete
+ * @param {Function} props.onExportSession - Function called with (session, format); resolves to the file URI
+ * @param {Function} props.onBack - Function to return to the library
+ * @param {Function} [props.logger] - Logger function for playback events
+ * @param {Function} [props.onAnalyzeSession] - Function called with the session to run audio intelligence on it
+ * @param {boolean} [props.isAnalyzing] - Whether this session is being analyzed
+ * @param {string|null} [props.analysisError] - Why the last analysis of this session failed, if it did
+ * @param {number|null} [props.startTime] - Time in seconds to open the session at, e.g. a search match
+ * @returns {JSX.Element} SessionScreen component
+ */
+const SessionScreen = ({
+  session,
+  onUpdateSession,
+  onDeleteSession,
+  onExportSession,
+  onBack,
+  logger,
+  onAnalyzeSession,
+  isAnalyzing = false,
+  analysisError = null,
+  startTime = null
+}) => {
+  const { transcript, originalTranscript, analysis, options = {} } = session;
+  const sentiments = analysis ? analysis.sentiments : [];
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS[0].value);
+  const [isExporting, setIsExporting] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [showOriginal, setShowOriginal] = useState(false);
+  // Point the transcript was last scrolled to: where the session was opened or a bookmark
+  const [focus, setFocus] = useState(() => (startTime === null ? null : { time: startTime }));
+  
+  // Changes can follow each other faster than they are saved, e.g. a blur
+  // commit straight before a split, so each builds on the last change rather
+  // than on the rendered session, and the saves run one after another
+  const latestSessionRef = useRef(session);
+  const pendingSavesRef = useRef(0);
+  const saveQueueRef = useRef(Promise.resolve());
+  if (pendingSavesRef.current === 0) {
+    latestSessionRef.current = session;
+  }
+  
+  // The machine output is kept next to the corrected transcript once it has been edited
+  const shownTranscript = useMemo(() => (
+    showOriginal && originalTranscript
+      ? { ...originalTranscript, speakerNames: transcript.speakerNames }
+      : transcript
+  ), [showOriginal, originalTranscript, transcript]);
+  const text = useMemo(() => getTranscriptText(shownTranscript), [shownTranscript]);
+  const speakerTurns = useMemo(() => getSpeakerTurns(shownTranscript.segments), [shownTranscript]);
+  const envelope = useMemo(() => readEnvelope(session.waveform), [session.waveform]);
+  
+  const audioUri = getSessionAudioUri(session);
+  const { isLoaded, isPlaying, position, duration, play, pause, seek } = usePlayback({ uri: audioUri, logger });
+  const playbackDuration = duration || session.durationMs / 1000;
+  
+  // Start playback from the point the session was opened at
+  useEffect(() => {
+    if (isLoaded && startTime !== null) {
+      seek(startTime);
+    }
+  }, [isLoaded, startTime, seek]);
+  
+  // Stable so the transcript only redraws the words whose highlight changes
+  const handleWordPress = useCallback((word) => seek(word.start), [seek]);
+  
+  // Without audio, or before it has moved, the word at the focus point stays highlighted
+  const hasPlaybackMoved = isLoaded && (isPlaying || position > 0);
+  const activeTime = hasPlaybackMoved ? position : (focus ? focus.time : null);
+  
+  const jumpTo = useCallback((time) => {
+    setFocus({ time });
+    seek(time);
+  }, [seek]);
+  
+  const handleBookmarkPress = useCallback((bookmark) => jumpTo(bookmark.time), [jumpTo]);
+  
+  /**
+   * Changes the latest version of the session and queues it to be saved
+   * 
+   * @param {Function} update - Function from the latest session to the changed one; returning
+   *   the same session skips the save
+   */
+  const updateSession = (update) => {
+    const latest = latestSessionRef.current;
+    const next = update(latest);
+    if (next === latest) {
+      return;
+    }
+    
+    latestSessionRef.current = next;
+    pendingSavesRef.current += 1;
+    saveQueueRef.current = saveQueueRef.current
+      .then(() => onUpdateSession(next))
+      .finally(() => {
+        pendingSavesRef.current -= 1;
+      });
+  };
+  
+  const handleRenameSpeaker = (speaker, name) => updateSession(latest => ({
+    ...latest,
+    transcript: renameSpeaker(latest.transcript, speaker, name)
+  }));
+  
+  /**
+   * Edits the transcript, keeping the machine output from before the first edit
+   * 
+   * @param {Function} edit - Function from the latest transcript to the edited one
+   */
+  const applyEdit = (edit) => updateSession((latest) => {
+    const edited = edit(latest.transcript);
+    if (edited === latest.transcript) {
+      return latest;
+    }
+    return {
+      ...latest,
+      originalTranscript: latest.originalTranscript || latest.transcript,
+      transcript: edited
+    };
+  });
+  
+  const handleCorrect = (id, draft) => applyEdit(current => correctSegmentText(current, id, draft));
+  
+  const handleSplit = (id, draft, cursor) => applyEdit(current => (
+    splitSegment(correctSegmentText(current, id, draft), id, getWordIndexAt(draft, cursor))
+  ));
+  
+  const handleMerge = (id, draft) => applyEdit(current => (
+    mergeWithNextSegment(correctSegmentText(current, id, draft), id)
+  ));
+  
+  const handleSetSpeaker = (id, speaker) => applyEdit(current => setSegmentSpeaker(current, id, speaker));
+  
+  const confirmRevert = () => {
+    Alert.alert(
+      'Revert edits?',
+      'The transcript goes back to the original machine output. Speaker names are kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revert',
+          style: 'destructive',
+          onPress: () => {
+            setShowOriginal(false);
+            updateSession((latest) => {
+              const { originalTranscript: original, ...rest } = latest;
+              return {
+                ...rest,
+                transcript: { ...original, speakerNames: latest.transcript.speakerNames }
+              };
+            });
+          }
+        }
+      ]
+    );
+  };
+  
+  const handleExport = async () => {
+    setIsExporting(true);
+    const uri = await onExportSession(session, exportFormat);
+    setIsExporting(false);
+    
+    if (uri) {
+      Alert.alert('Transcript exported', `Saved to ${uri}`);
+    } else {
+      Alert.alert('Export failed', 'The transcript could not be written. See the debug logs for details.');
+    }
+  };
+  
+  const confirmDelete = () => {
+    Alert.alert(
+      'Delete session?',
+      `"${session.title}" and its audio will be removed from this device.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => onDeleteSession(session.id) }
+      ]
+    );
+  };
+  
+  const { stats, quality, pauses = [], bookmarks = [] } = session;
+  const pausedMs = pauses.reduce((total, pause) => total + (pause.durationMs || 0), 0);
+  const averageConfidence = getAverageConfidence(transcript);
+  
+  // Issues that were warned about during the recording, with how long
+  const qualityIssues = quality
+    ? Object.keys(ISSUE_LABELS)
+      .filter(issue => quality.issueSeconds[issue] > 0)
+      .map(issue => `${ISSUE_LABELS[issue]} for ${formatDuration(quality.issueSeconds[issue])}`)
+    : [];
+  
+  const optionSummary = [
+    options.model,
+    options.language,
+    options.diarize && 'diarized',
+    options.vocabularyList && `vocabulary: ${options.vocabularyList}`
+  ].filter(Boolean).join(' · ');
+  
+  return (
+    <View>
+      <Header title={session.title} subtitle={formatDateTime(session.startedAt)}>
+        {!!analysis && <SessionAnalysis analysis={analysis} />}
+      </Header>
+      
+      <View style={styles.actions}>
+        <Button title="Back to Library" onPress={onBack} />
+        {!!onAnalyzeSession && (
+          <Button
+            title={isAnalyzing ? 'Analyzing...' : (analysis ? 'Analyze Again' : 'Analyze')}
+            onPress={() => onAnalyzeSession(session)}
+            disabled={!audioUri || isAnalyzing}
+          />
+        )}
+      </View>
+      {!!analysisError && <Text style={styles.errorText}>{analysisError}</Text>}
+      
+      <View style={styles.detailsContainer}>
+        <Text style={styles.detailText}>Duration: {formatDuration(session.durationMs / 1000)}</Text>
+        <Text style={styles.detailText}>Ended: {formatDateTime(session.endedAt)}</Text>
+        {!!optionSummary && <Text style={styles.detailText}>Settings: {optionSummary}</Text>}
+        <Text style={styles.detailText}>
+          Audio: {session.audioFile ? 'saved with session' : 'not kept'}
+        </Text>
+        {pauses.length > 0 && (
+          <Text style={styles.detailText}>
+            Paused: {pauses.length} time{pauses.length === 1 ? '' : 's'}, {formatDuration(pausedMs / 1000)} in total
+          </Text>
+        )}
+        {!!stats && (
+          <Text style={styles.detailText}>
+            Streamed: {formatDuration(stats.sentSeconds)} of {formatDuration(stats.capturedSeconds)}
+            {stats.skippedSeconds > 0 && ` (${formatDuration(stats.skippedSeconds)} of silence skipped)`}
+          </Text>
+        )}
+        {!!quality && quality.speechLevelDb !== null && (
+          <Text style={styles.detailText}>
+            Input: speech {quality.speechLevelDb} dBFS, noise floor {quality.noiseFloorDb} dBFS,
+            {' '}{quality.clippedPercent}% clipped
+          </Text>
+        )}
+        {qualityIssues.length > 0 && (
+          <Text style={styles.detailText}>Warnings: {qualityIssues.join(', ')}</Text>
+        )}
+        {averageConfidence !== null && (
+          <Text style={styles.detailText}>
+            Average confidence: {Math.round(averageConfidence * 100)}%
+          </Text>
+        )}
+      </View>
+      
+      {!!audioUri && (
+        <>
+          <Waveform
+            envelope={envelope}
+            duration={playbackDuration}
+            position={position}
+            onSeek={seek}
+            speechRegions={transcript.speechRegions}
+          />
+          <View style={styles.playerControls}>
+            <Button
+              title={isPlaying ? 'Pause' : 'Play'}
+              onPress={isPlaying ? pause : play}
+              disabled={!isLoaded}
+            />
+            <Text style={styles.playerTime}>
+              {formatDuration(position)} / {formatDuration(playbackDuration)}
+            </Text>
+          </View>
+        </>
+      )}
+      
+      {bookmarks.length > 0 && (
+        <View style={styles.bookmarksContainer}>
+          <Text style={styles.bookmarksLabel}>Bookmarks</Text>
+          {[...bookmarks].sort((a, b) => a.time - b.time).map(bookmark => (
+            <TouchableOpacity
+              key={bookmark.id}
+              style={styles.bookmarkRow}
+              onPress={() => handleBookmarkPress(bookmark)}
+            >
+              <Text style={styles.bookmarkTime}>{formatDuration(bookmark.time)}</Text>
+              <Text style={styles.bookmarkNote} numberOfLines={2}>
+                {bookmark.note || 'No note'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      
+      <View style={styles.editActions}>
+        <Button
+          title={isEditing ? 'Done Editing' : 'Edit Transcript'}
+          onPress={() => {
+            setShowOriginal(false);
+            setIsEditing(!isEditing);
+          }}
+        />
+        {!!originalTranscript && !isEditing && (
+          <>
+            <Button
+              title={showOriginal ? 'Show Edited' : 'Show Original'}
+              onPress={() => setShowOriginal(!showOriginal)}
+            />
+            <Button title="Revert Edits" color="red" onPress={confirmRevert} />
+          </>
+        )}
+      </View>
+      
+      {isEditing ? (
+        <TranscriptEditor
+          transcript={transcript}
+          sentiments={sentiments}
+          onCorrect={handleCorrect}
+          onSplit={handleSplit}
+          onMerge={handleMerge}
+          onSetSpeaker={handleSetSpeaker}
+        />
+      ) : (
+        <Transcription
+          text={text}
+          speakerTurns={speakerTurns}
+          speakerNames={transcript.speakerNames}
+          onRenameSpeaker={showOriginal ? undefined : handleRenameSpeaker}
+          segments={shownTranscript.segments}
+          pauses={pauses}
+          bookmarks={bookmarks}
+          onBookmarkPress={handleBookmarkPress}
+          sentiments={sentiments}
+          activeTime={activeTime}
+          onWordPress={handleWordPress}
+          focus={focus}
+        />
+      )}
+      
+      <View style={styles.exportContainer}>
+        <OptionPicker
+          label="Export format"
+          options={EXPORT_FORMATS}
+          value={exportFormat}
+          onChange={setExportFormat}
+          disabled={isExporting}
+        />
+        <Button
+          title={isExporting ? 'Exporting...' : 'Export'}
+          onPress={handleExport}
+          disabled={isExporting}
+        />
+      </View>
+      
+      <Button title="Delete Session" color="red" onPress={confirmDelete} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 15,
+  },
+  errorText: {
+    color: 'red',
+    marginBottom: 15,
+  },
+  detailsContainer: {
+    marginBottom: 15,
+    padding: 10,
+    backgroundColor: '#e0e0e0',
+    borderRadius: 5,
+  },
+  playerControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 15,
+  },
+  playerTime: {
+    fontSize: 14,
+    color: '#444',
+  },
+  bookmarksContainer: {
+    marginBottom: 15,
+    padding: 10,
+    backgroundColor: 'white',
+    borderRadius: 10,
+  },
+  bookmarksLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 5,
+    color: '#333',
+  },
+  bookmarkRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  bookmarkTime: {
+    width: 60,
+    fontSize: 14,
+    color: '#007bff',
+  },
+  bookmarkNote: {
+    flex: 1,
+    fontSize: 14,
+    color: '#444',
+  },
+  editActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  exportContainer: {
+    marginBottom: 15,
+    padding: 10,
+    backgroundColor: 'white',
+    borderRadius: 10,
+  },
+  detailText: {
+    fontSize: 14,
+    color: '#444',
+    marginBottom: 2,
+  },
+});
+
+export default SessionScreen;
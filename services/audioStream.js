@@ -0,0 +1,301 @@
+import ByteRingBuffer from '../utils/byteRingBuffer';
+import AudioConverter from '../utils/audioConverter';
+import LiveAudioSource from './liveAudioSource';
+import SegmentedRecorderSource from './segmentedRecorderSource';
+
+// Seconds of audio the ring buffer holds; larger chunks are buffered a piece at a time
+const RING_BUFFER_SECONDS = 5;
+
+/**
+ * Continuous PCM capture stream.
+ *
+ * Wraps a capture source, converts whatever format it actually records in
+ * to the stream format, and re-slices the result into frames of a fixed
+ * duration, each tagged with a sequence number. Frames are
+ * contiguous: frame n+1 starts at the sample right after the last sample of
+ * frame n, so consumers can rely on `sequence * frameDuration` as the stream
+ * position.
+ */
+class AudioStream {
+  /**
+   * Creates a new AudioStream
+   * 
+   * @param {Object} config - Configuration options
+   * @param {string} [config.encoding='linear16'] - Sample encoding of the emitted frames
+   * @param {number} [config.sampleRate=16000] - Samples per second of the emitted frames
+   * @param {number} [config.channels=1] - Number of channels of the emitted frames
+   * @param {number} [config.bitsPerSample=16] - Bits per sample of the emitted frames
+   * @param {Object} [config.captureFormat] - Format to request from the recorder; defaults
+   *   to the frame format
+   * @param {number} [config.frameDurationMs=100] - Duration of each emitted frame
+   * @param {Function} config.onFrame - Callback with (frame: Uint8Array, sequence: number)
+   * @param {Function} [config.onError] - Callback with errors from the source or the format conversion
+   * @param {Function} config.logger - Logger instance for logging events
+   */
+  constructor({
+    encoding = 'linear16',
+    sampleRate = 16000,
+    channels = 1,
+    bitsPerSample = 16,
+    frameDurationMs = 100,
+    captureFormat,
+    onFrame,
+    onError,
+    logger
+  }) {
+    this.format = { encoding, sampleRate, channels, bitsPerSample };
+    this.captureFormat = captureFormat || this.format;
+    this.converter = null;
+    this.hasReportedError = false;
+    this.onFrame = onFrame || (() => {});
+    this.onError = onError || (() => {});
+    this.logger = logger || console;
+    
+    const bytesPerSecond = sampleRate * channels * (bitsPerSample / 8);
+    const blockAlign = channels * (bitsPerSample / 8);
+    
+    // Frames always hold whole sample blocks
+    this.frameBytes = Math.round(bytesPerSecond * frameDurationMs / 1000 / blockAlign) * blockAlign;
+    this.ringBuffer = new ByteRingBuffer(bytesPerSecond * RING_BUFFER_SECONDS);
+    this.sequence = 0;
+    this.source = null;
+    this.isRunning = false;
+    this.isPaused = false;
+  }
+
+  /**
+   * Whether the stream delivers gap-free audio on this build
+   * 
+   * @returns {boolean} True when the native PCM source is available
+   */
+  static isContinuous() {
+    return LiveAudioSource.isAvailable();
+  }
+
+  /**
+   * Gets the format of the emitted frames
+   * 
+   * @returns {Object} { encoding, sampleRate, channels, bitsPerSample }
+   */
+  getFormat() {
+    return { ...this.format };
+  }
+
+  /**
+   * Gets the duration of one frame
+   * 
+   * @returns {number} Frame duration in seconds
+   */
+  getFrameDuration() {
+    const { sampleRate, channels, bitsPerSample } = this.format;
+    return this.frameBytes / (sampleRate * channels * (bitsPerSample / 8));
+  }
+
+  /**
+   * Creates the best capture source available on this build
+   * 
+   * @returns {Object} Capture source
+   */
+  createSource() {
+    const SourceClass = LiveAudioSource.isAvailable() ? LiveAudioSource : SegmentedRecorderSource;
+    
+    return new SourceClass({
+      ...this.captureFormat,
+      streamFormat: this.format,
+      onData: (bytes, format) => this.handleData(bytes, format),
+      onError: (error) => this.onError(error),
+      logger: this.logger
+    });
+  }
+
+  /**
+   * Starts capturing
+   */
+  async start() {
+    this.ringBuffer.clear();
+    this.sequence = 0;
+    this.converter = null;
+    this.hasReportedError = false;
+    this.source = this.createSource();
+    this.isRunning = true;
+    this.isPaused = false;
+    
+    try {
+      await this.source.start();
+      this.logger.log(`Audio stream started using ${this.source.name}, ${this.frameBytes} bytes per frame`);
+    } catch (error) {
+      this.isRunning = false;
+      this.source = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Stops capturing and emits the remaining audio as a final frame padded
+   * with silence
+   */
+  async stop() {
+    if (!this.isRunning) {
+      return;
+    }
+    
+    if (this.source) {
+      await this.source.stop();
+      this.source = null;
+    }
+    this.isPaused = false;
+    
+    // Release the samples the resampler is still holding back
+    if (this.converter) {
+      this.writeConverted(this.converter.flush());
+      this.converter = null;
+    }
+    this.isRunning = false;
+    
+    if (this.ringBuffer.length > 0) {
+      const frame = new Uint8Array(this.frameBytes);
+      frame.set(this.ringBuffer.drain());
+      this.emitFrame(frame);
+    }
+    
+    this.logger.log(`Audio stream stopped after ${this.sequence} frame(s)`);
+  }
+
+  /**
+   * Halts capture without ending the stream. Audio already captured stays
+   * buffered, and capture carries on from the same sample after resume, so
+   * frames remain contiguous across the pause.
+   */
+  async pause() {
+    if (!this.isRunning || this.isPaused) {
+      return;
+    }
+    
+    // The source may still deliver its last audio while stopping
+    if (this.source) {
+      await this.source.stop();
+      this.source = null;
+    }
+    this.isPaused = true;
+    this.logger.log(`Audio stream paused at ${this.getPosition().toFixed(2)}s`);
+  }
+
+  /**
+   * Restarts capture after pause
+   */
+  async resume() {
+    if (!this.isRunning || !this.isPaused) {
+      return;
+    }
+    
+    this.source = this.createSource();
+    try {
+      await this.source.start();
+    } catch (error) {
+      this.source = null;
+      throw error;
+    }
+    this.isPaused = false;
+    this.logger.log(`Audio stream resumed at ${this.getPosition().toFixed(2)}s`);
+  }
+
+  /**
+   * Gets how much audio the stream has captured, including the part of a
+   * frame that is still being filled
+   * 
+   * @returns {number} Stream position in seconds
+   */
+  getPosition() {
+    const { sampleRate, channels, bitsPerSample } = this.format;
+    const bytes = this.sequence * this.frameBytes + this.ringBuffer.length;
+    return bytes / (sampleRate * channels * (bitsPerSample / 8));
+  }
+
+  /**
+   * Converts data from the source to the stream format and emits every
+   * complete frame
+   * 
+   * @param {Uint8Array} bytes - Audio data from the source
+   * @param {Object} [format] - Format the data was recorded in; defaults to the capture format
+   */
+  handleData(bytes, format = this.captureFormat) {
+    if (!this.isRunning || !bytes || bytes.length === 0) {
+      return;
+    }
+    
+    try {
+      this.writeConverted(this.getConverter(format).convert(bytes));
+    } catch (error) {
+      this.logger.log(`Dropped audio the stream cannot convert: ${error.message}`);
+      
+      // Every following chunk fails the same way, so report it once
+      if (!this.hasReportedError) {
+        this.hasReportedError = true;
+        this.onError(error);
+      }
+    }
+  }
+
+  /**
+   * Gets the converter for the given source format, replacing the current
+   * one when the source switches formats
+   * 
+   * @param {Object} format - Format the data was recorded in
+   * @returns {AudioConverter} Converter to the stream format
+   * @throws {AudioFormatMismatchError} When the format cannot be converted
+   */
+  getConverter(format) {
+    const current = this.converter && this.converter.inputFormat;
+    
+    if (!current ||
+        current.encoding !== format.encoding ||
+        current.sampleRate !== format.sampleRate ||
+        current.channels !== format.channels) {
+      this.converter = new AudioConverter(format, this.format);
+      this.logger.log(`Converting ${format.encoding} ${format.sampleRate} Hz x${format.channels} to ` +
+        `${this.format.encoding} ${this.format.sampleRate} Hz x${this.format.channels}`);
+    }
+    
+    return this.converter;
+  }
+
+  /**
+   * Buffers audio in the stream format and emits every complete frame. A
+   * chunk larger than the free space is written a piece at a time, emitting
+   * frames in between, so the ring buffer never overwrites audio and the
+   * frames stay gap-free.
+   * 
+   * @param {Uint8Array} bytes - Audio in the stream format
+   */
+  writeConverted(bytes) {
+    let offset = 0;
+    while (offset < bytes.length) {
+      const length = Math.min(bytes.length - offset, this.ringBuffer.free);
+      this.ringBuffer.write(bytes.subarray(offset, offset + length));
+      offset += length;
+      
+      let frame = this.ringBuffer.read(this.frameBytes);
+      while (frame) {
+        this.emitFrame(frame);
+        frame = this.ringBuffer.read(this.frameBytes);
+      }
+    }
+  }
+
+  /**
+   * Hands a frame to the consumer
+   * 
+   * @param {Uint8Array} frame - Frame of exactly frameBytes bytes
+   */
+  emitFrame(frame) {
+    const sequence = this.sequence++;
+    
+    try {
+      this.onFrame(frame, sequence);
+    } catch (error) {
+      this.logger.log(`Error handling audio frame #${sequence}: ${error.message}`);
+    }
+  }
+}
+
+export default AudioStream;
@@ -1,7 +1,25 @@
+import * as FileSystem from 'expo-file-system';
+import TranscriptionProvider from './transcriptionProvider';
+import { DEFAULT_MODEL, DEFAULT_LANGUAGE } from '../utils/transcriptionOptions';
+import { DEFAULT_STREAM_FORMAT, getBytesPerSecond, getAudioMimeType } from '../utils/audioFormat';
+import { DEEPGRAM_REDACT } from '../utils/redaction';
+
+// Gaps in session time smaller than this are treated as contiguous audio
+const TIME_TOLERANCE_SECONDS = 0.001;
+
+// Default reconnect policy: 500ms, 1s, 2s, 4s, 8s between attempts
+const DEFAULT_RECONNECT_POLICY = {
+  maxAttempts: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  // About one minute of 16kHz mono linear16 audio
+  maxBufferedBytes: 16000 * 2 * 60,
+};
+
 /**
  * Service for interacting with the Deepgram API
  */
-class DeepgramService {
+class DeepgramService extends TranscriptionProvider {
   /**
    * Creates a new DeepgramService
    * 
@@ -12,25 +30,230 @@ class DeepgramService {
    * @param {Function} config.onSpeechFinished - Callback when speech ends
    * @param {Function} config.onError - Callback when error occurs
    * @param {Function} config.onClose - Callback when connection closes
+   * @param {Function} [config.onReconnecting] - Callback with (attempt, delayMs) when a reconnect is scheduled
+   * @param {Function} [config.onReconnected] - Callback when a reconnect succeeds
+   * @param {Function} [config.onReconnectFailed] - Callback with the attempt count once reconnecting gives up
+   * @param {Object} [config.reconnect] - Overrides for the reconnect policy
    * @param {Function} config.logger - Logger instance for logging events
    */
   constructor({
     apiKey,
-    onTranscriptReceived,
-    onSpeechStarted,
-    onSpeechFinished,
-    onError,
-    onClose,
-    logger
+    onReconnecting,
+    onReconnected,
+    onReconnectFailed,
+    reconnect,
+    ...callbacks
   }) {
+    super(callbacks);
     this.apiKey = apiKey;
     this.socket = null;
-    this.onTranscriptReceived = onTranscriptReceived || (() => {});
-    this.onSpeechStarted = onSpeechStarted || (() => {});
-    this.onSpeechFinished = onSpeechFinished || (() => {});
-    this.onError = onError || (() => {});
-    this.onClose = onClose || (() => {});
-    this.logger = logger || console;
+    this.audioFormat = DEFAULT_STREAM_FORMAT;
+    this.onReconnecting = onReconnecting || (() => {});
+    this.onReconnected = onReconnected || (() => {});
+    this.onReconnectFailed = onReconnectFailed || (() => {});
+    
+    // Reconnect state
+    this.reconnectPolicy = { ...DEFAULT_RECONNECT_POLICY, ...reconnect };
+    this.connectOptions = null;
+    this.shouldReconnect = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.isReconnecting = false;
+    
+    // Audio produced while the socket is down, flushed in order on reconnect
+    this.audioQueue = [];
+    this.audioQueueBytes = 0;
+    
+    // Deepgram timestamps restart at zero on every socket, so results from a
+    // reconnected socket are shifted by the audio sent on earlier ones
+    this.streamTimeOffset = 0;
+    this.socketBytesSent = 0;
+    
+    // Points where the audio sent jumps ahead in the session (skipped
+    // silence), as { sent, time } pairs in seconds
+    this.timeline = [];
+  }
+
+  /**
+   * Human-readable provider name used in log messages
+   * 
+   * @returns {string} Provider name
+   */
+  get name() {
+    return 'Deepgram';
+  }
+
+  /**
+   * Gets the streaming endpoint to connect to
+   * 
+   * @returns {string} WebSocket URL without query parameters
+   */
+  getEndpoint() {
+    return 'wss://api.deepgram.com/v1/listen';
+  }
+
+  /**
+   * Gets the endpoint for transcribing complete files
+   * 
+   * @returns {string} HTTPS URL without query parameters
+   */
+  getPrerecordedEndpoint() {
+    return 'https://api.deepgram.com/v1/listen';
+  }
+
+  /**
+   * Gets the WebSocket sub-protocols used to authenticate
+   * 
+   * @returns {Array<string>|undefined} Sub-protocols passed to the WebSocket constructor
+   */
+  getProtocols() {
+    return ['token', this.apiKey];
+  }
+
+  /**
+   * Checks that the service has everything it needs to connect
+   * 
+   * @returns {boolean} Whether the configuration is usable
+   */
+  validateConfig() {
+    if (!this.apiKey) {
+      this.logger.log('ERROR: Deepgram API Key is undefined or empty');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Gets the format of the audio announced in the listen URL. Audio passed
+   * to sendAudio must be in exactly this format.
+   * 
+   * @returns {Object} Format with encoding, sampleRate, channels and bitsPerSample
+   */
+  getAudioFormat() {
+    return this.audioFormat;
+  }
+
+  /**
+   * Builds the streaming URL with all required query parameters
+   * 
+   * @param {Object} options - Connection options (see connect)
+   * @returns {URL} The listen URL
+   */
+  buildListenUrl({ interimResults = false, ...options }) {
+    const wsUrl = new URL(this.getEndpoint());
+    const { encoding, sampleRate, channels } = this.getAudioFormat();
+    
+    wsUrl.searchParams.append('encoding', encoding);
+    wsUrl.searchParams.append('sample_rate', String(sampleRate));
+    wsUrl.searchParams.append('channels', String(channels));
+    
+    // Add optional parameters based on user settings
+    wsUrl.searchParams.append('interim_results', interimResults ? 'true' : 'false');
+    this.appendTranscriptionParams(wsUrl.searchParams, options);
+    wsUrl.searchParams.append('endpointing', '800');
+    wsUrl.searchParams.append('vad_events', 'true');
+    wsUrl.searchParams.append('continuous', 'true');
+    
+    return wsUrl;
+  }
+
+  /**
+   * Builds the pre-recorded URL. The file's container tells Deepgram the
+   * encoding, so only the transcription options are sent.
+   * 
+   * @param {Object} options - Transcription options (see connect) and audio
+   *   intelligence flags (see appendIntelligenceParams)
+   * @returns {URL} The pre-recorded listen URL
+   */
+  buildPrerecordedUrl(options) {
+    const url = new URL(this.getPrerecordedEndpoint());
+    
+    this.appendTranscriptionParams(url.searchParams, options);
+    this.appendIntelligenceParams(url.searchParams, options);
+    
+    // Utterances become the segments of the imported transcript
+    url.searchParams.append('utterances', 'true');
+    
+    return url;
+  }
+
+  /**
+   * Adds the audio intelligence features, which only the pre-recorded API offers
+   * 
+   * @param {URLSearchParams} params - Query parameters to extend
+   * @param {Object} options - Feature flags
+   * @param {boolean} [options.summarize] - Whether to summarize the audio
+   * @param {boolean} [options.topics] - Whether to detect topics
+   * @param {boolean} [options.intents] - Whether to detect speaker intents
+   * @param {boolean} [options.sentiment] - Whether to score sentiment per segment
+   */
+  appendIntelligenceParams(params, {
+    summarize = false,
+    topics = false,
+    intents = false,
+    sentiment = false
+  }) {
+    if (summarize) {
+      params.append('summarize', 'v2');
+    }
+    if (topics) {
+      params.append('topics', 'true');
+    }
+    if (intents) {
+      params.append('intents', 'true');
+    }
+    if (sentiment) {
+      params.append('sentiment', 'true');
+    }
+  }
+
+  /**
+   * Adds the options shared by streaming and pre-recorded requests
+   * 
+   * @param {URLSearchParams} params - Query parameters to extend
+   * @param {Object} options - Transcription options (see connect)
+   */
+  appendTranscriptionParams(params, {
+    punctuate = true,
+    smartFormat = true,
+    diarize = false,
+    model = DEFAULT_MODEL,
+    language = DEFAULT_LANGUAGE,
+    vocabulary = [],
+    redact = false
+  }) {
+    params.append('punctuate', punctuate ? 'true' : 'false');
+    params.append('smart_format', smartFormat ? 'true' : 'false');
+    params.append('diarize', diarize ? 'true' : 'false');
+    
+    // `multi` lets the model detect and switch languages on its own
+    params.append('model', model);
+    params.append('language', language);
+    this.appendVocabularyParams(params, model, vocabulary);
+    
+    if (redact) {
+      DEEPGRAM_REDACT.forEach(value => params.append('redact', value));
+    }
+  }
+
+  /**
+   * Adds custom vocabulary to the query. Nova-3 only understands `keyterm`
+   * (no weights), older models take `keywords` with an optional `:boost`.
+   * 
+   * @param {URLSearchParams} params - Query parameters to extend
+   * @param {string} model - Selected model
+   * @param {Array<Object>} vocabulary - Terms as { term, boost }
+   */
+  appendVocabularyParams(params, model, vocabulary) {
+    const useKeyterms = model.startsWith('nova-3');
+    
+    vocabulary.forEach(({ term, boost }) => {
+      if (useKeyterms) {
+        params.append('keyterm', term);
+      } else {
+        params.append('keywords', boost !== undefined ? `${term}:${boost}` : term);
+      }
+    });
   }
 
   /**
@@ -40,55 +263,61 @@ class DeepgramService {
    * @param {boolean} options.interimResults - Whether to return interim results
    * @param {boolean} options.punctuate - Whether to add punctuation
    * @param {boolean} options.smartFormat - Whether to use smart formatting
+   * @param {boolean} options.diarize - Whether to label words with speakers
+   * @param {string} options.model - Deepgram model, e.g. `nova-3`
+   * @param {string} options.language - Language code, or `multi` to auto-detect
+   * @param {Array<Object>} options.vocabulary - Terms to boost as { term, boost }
+   * @param {boolean} [options.redact] - Whether Deepgram should redact card numbers, SSNs and other PII
+   * @param {Object} [options.audioFormat] - Format of the audio that will be sent;
+   *   announced as `encoding`, `sample_rate` and `channels`
    * @returns {Promise<boolean>} Whether connection was successful
    */
-  connect({ interimResults = false, punctuate = true, smartFormat = true }) {
+  async connect(options = {}) {
+    // A fresh connect starts a new stream, so drop any reconnect in progress
+    this.disconnect();
+    this.streamTimeOffset = 0;
+    this.socketBytesSent = 0;
+    this.timeline = [];
+    this.audioFormat = options.audioFormat || DEFAULT_STREAM_FORMAT;
+    
+    const connected = await this.openSocket(options);
+    if (connected) {
+      this.connectOptions = options;
+      this.shouldReconnect = true;
+    }
+    return connected;
+  }
+
+  /**
+   * Opens the WebSocket used for streaming
+   * 
+   * @param {Object} options - Connection options (see connect)
+   * @returns {Promise<boolean>} Whether connection was successful
+   */
+  openSocket(options) {
     try {
       // If there's an existing connection, close it properly first
       if (this.socket) {
-        try {
-          this.disconnect();
-        } catch (e) {
-          this.logger.log(`Error disconnecting existing socket: ${e.message}`);
-        }
+        this.closeSocket();
       }
       
-      // Validate API key before attempting to connect
-      if (!this.apiKey) {
-        this.logger.log('ERROR: Deepgram API Key is undefined or empty');
+      // Validate configuration before attempting to connect
+      if (!this.validateConfig()) {
         return Promise.resolve(false);
       }
       
       // Build the WebSocket URL with all required parameters
-      const wsUrl = new URL('wss://api.deepgram.com/v1/listen');
-      
-      // Use a more reliable encoding to ensure compatibility
-      wsUrl.searchParams.append('encoding', 'linear16');
-      wsUrl.searchParams.append('sample_rate', '16000');
-      wsUrl.searchParams.append('channels', '1');
-      
-      // Add optional parameters based on user settings
-      wsUrl.searchParams.append('interim_results', 'false');
-      wsUrl.searchParams.append('punctuate', punctuate ? 'true' : 'false');
-      wsUrl.searchParams.append('smart_format', smartFormat ? 'true' : 'false');
+      const wsUrl = this.buildListenUrl(options);
       
-      // Try enhanced-model for better accuracy
-      wsUrl.searchParams.append('model', 'general');
-      wsUrl.searchParams.append('language', 'en-US');
-      wsUrl.searchParams.append('endpointing', '800');
-      wsUrl.searchParams.append('vad_events', 'true');
-      wsUrl.searchParams.append('continuous', 'true');
-      
-      this.logger.log(`Connecting to Deepgram: ${wsUrl.toString()}`);
+      this.logger.log(`Connecting to ${this.name}: ${wsUrl.toString()}`);
       
       // Initialize socket
-      this.socket = new WebSocket(wsUrl.toString(), [
-        'token', this.apiKey
-      ]);
+      const socket = new WebSocket(wsUrl.toString(), this.getProtocols());
+      this.socket = socket;
 
       // Set socket timeout for better connection handling
-      if (this.socket.setSocketTimeout) {
-        this.socket.setSocketTimeout(30000); // 30 second timeout
+      if (socket.setSocketTimeout) {
+        socket.setSocketTimeout(30000); // 30 second timeout
       }
 
       let isConnected = false;
@@ -96,7 +325,7 @@ class DeepgramService {
       
       // Set up socket event handlers
       this.socket.onopen = () => {
-        this.logger.log(`Deepgram WebSocket connection established in ${Date.now() - connectionStartTime}ms`);
+        this.logger.log(`${this.name} WebSocket connection established in ${Date.now() - connectionStartTime}ms`);
         isConnected = true;
         
         // Send initial keepalive ping to ensure connection is active
@@ -106,39 +335,31 @@ class DeepgramService {
       this.socket.onmessage = (event) => {
         try {
           const response = JSON.parse(event.data);
-          
-          if (response.type === 'Results') {
-            if (response.channel && response.channel.alternatives && response.channel.alternatives.length > 0) {
-              const transcript = response.channel.alternatives[0].transcript;
-              
-              if (transcript && transcript.trim()) {
-                this.logger.log(`Transcript received (${response.is_final ? 'final' : 'interim'}): ${transcript}`);
-                this.onTranscriptReceived(transcript, response.is_final, response);
-              }
-            }
-          } else if (response.type === 'SpeechStarted') {
-            this.logger.log('Speech detected by Deepgram');
-            this.onSpeechStarted();
-          } else if (response.type === 'SpeechFinished') {
-            this.logger.log('Speech finished');
-            this.onSpeechFinished();
-          } else if (response.type === 'Error') {
-            this.logger.log(`Deepgram error: ${JSON.stringify(response)}`);
-            this.onError(response);
-          }
+          this.handleMessage(response);
         } catch (error) {
-          this.logger.log(`Error parsing Deepgram response: ${error.message}`);
+          this.logger.log(`Error parsing ${this.name} response: ${error.message}`);
         }
       };
       
       this.socket.onclose = (event) => {
-        this.logger.log(`Deepgram WebSocket closed: code=${event.code}, reason=${event.reason}`);
+        this.logger.log(`${this.name} WebSocket closed: code=${event.code}, reason=${event.reason}`);
         isConnected = false;
+        
+        // Ignore sockets that were replaced or closed on purpose
+        if (socket !== this.socket) {
+          return;
+        }
+        
+        this.socket = null;
         this.onClose(event);
+        
+        if (this.shouldReconnect) {
+          this.scheduleReconnect();
+        }
       };
       
       this.socket.onerror = (error) => {
-        this.logger.log(`Deepgram WebSocket error: ${error.message || JSON.stringify(error)}`);
+        this.logger.log(`${this.name} WebSocket error: ${error.message || JSON.stringify(error)}`);
         this.onError(error);
       };
       
@@ -149,10 +370,19 @@ class DeepgramService {
         } else {
           this.socket.onopen = () => {
             isConnected = true;
-            this.logger.log('Deepgram WebSocket connection established');
+            this.logger.log(`${this.name} WebSocket connection established`);
             resolve(true);
           };
           
+          // Fail fast when the handshake is rejected instead of waiting for the timeout
+          const handleClose = this.socket.onclose;
+          this.socket.onclose = (event) => {
+            if (!isConnected) {
+              resolve(false);
+            }
+            handleClose(event);
+          };
+          
           // Add timeout for connection
           setTimeout(() => {
             if (!isConnected) {
@@ -163,7 +393,7 @@ class DeepgramService {
         }
       });
     } catch (err) {
-      this.logger.log(`Failed to setup Deepgram WebSocket: ${err.message}`);
+      this.logger.log(`Failed to setup ${this.name} WebSocket: ${err.message}`);
       return Promise.resolve(false);
     }
   }
@@ -172,24 +402,40 @@ class DeepgramService {
    * Sends audio data to Deepgram
    * 
    * @param {Uint8Array} audioData - Audio data to send
+   * @param {number} [time] - Position of the chunk in the session in seconds;
+   *   needed when audio is skipped so results line up with the session audio
    * @returns {boolean} Whether sending was successful
    */
-  sendAudio(audioData) {
+  sendAudio(audioData, time) {
     try {
+      // Verify audio data is valid before sending
+      if (!audioData || audioData.length === 0) {
+        this.logger.log('Invalid audio data: empty');
+        return false;
+      }
+      
+      const isOpen = this.socket && this.socket.readyState === WebSocket.OPEN;
+      
+      // Hold on to the audio while the connection is being restored
+      if (!isOpen && this.shouldReconnect) {
+        this.queueAudio(audioData, time);
+        this.scheduleReconnect();
+        return true;
+      }
+      
       if (!this.socket) {
         this.logger.log('No WebSocket connection exists');
         return false;
       }
       
-      if (this.socket.readyState !== WebSocket.OPEN) {
+      if (!isOpen) {
         this.logger.log(`WebSocket not ready for sending: state=${this.getReadyStateName(this.socket.readyState)}`);
         return false;
       }
       
-      // Verify audio data is valid before sending
-      if (!audioData || audioData.length === 0) {
-        this.logger.log('Invalid audio data: empty');
-        return false;
+      // Anything buffered during an outage goes out before the new chunk
+      if (this.audioQueue.length > 0) {
+        this.flushAudioQueue();
       }
       
       // Send a keepalive message before audio to ensure the connection is still active
@@ -201,14 +447,299 @@ class DeepgramService {
       }
       
       // Send the actual audio data
-      this.socket.send(audioData);
+      this.sendChunk(audioData, time);
       return true;
     } catch (error) {
-      this.logger.log(`Error sending audio to Deepgram: ${error.message}`);
+      this.logger.log(`Error sending audio to ${this.name}: ${error.message}`);
       return false;
     }
   }
 
+  /**
+   * Sends one chunk on the open socket, recording where it sits in the
+   * session when that is not right after the previous chunk
+   * 
+   * @param {Uint8Array} audioData - Audio data to send
+   * @param {number} [time] - Position of the chunk in the session in seconds
+   */
+  sendChunk(audioData, time) {
+    if (typeof time === 'number') {
+      const sent = this.getSecondsSent();
+      if (Math.abs(this.toSessionTime(sent) - time) > TIME_TOLERANCE_SECONDS) {
+        this.timeline.push({ sent, time });
+      }
+    }
+    
+    this.socket.send(audioData);
+    this.socketBytesSent += audioData.length;
+  }
+
+  /**
+   * Sends a KeepAlive so Deepgram does not close the stream while no audio
+   * is being sent
+   * 
+   * @returns {boolean} Whether a keepalive was sent
+   */
+  keepAlive() {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    
+    try {
+      this.socket.send(JSON.stringify({ type: 'KeepAlive' }));
+      return true;
+    } catch (error) {
+      this.logger.log(`Keep-alive failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Buffers audio while the connection is down, dropping the oldest chunks
+   * once the buffer exceeds the configured limit
+   * 
+   * @param {Uint8Array} audioData - Audio data to buffer
+   * @param {number} [time] - Position of the chunk in the session in seconds
+   */
+  queueAudio(audioData, time) {
+    this.audioQueue.push({ data: audioData, time });
+    this.audioQueueBytes += audioData.length;
+    
+    let dropped = 0;
+    while (this.audioQueueBytes > this.reconnectPolicy.maxBufferedBytes && this.audioQueue.length > 1) {
+      this.audioQueueBytes -= this.audioQueue.shift().data.length;
+      dropped++;
+    }
+    
+    if (dropped > 0) {
+      this.logger.log(`Reconnect buffer full, dropped ${dropped} oldest chunk(s)`);
+    }
+  }
+
+  /**
+   * Sends all buffered audio in the order it was produced
+   */
+  flushAudioQueue() {
+    const count = this.audioQueue.length;
+    const bytes = this.audioQueueBytes;
+    
+    while (this.audioQueue.length > 0) {
+      if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+        this.logger.log(`Connection lost while flushing, ${this.audioQueue.length} chunk(s) still buffered`);
+        return;
+      }
+      
+      const chunk = this.audioQueue.shift();
+      this.audioQueueBytes -= chunk.data.length;
+      this.sendChunk(chunk.data, chunk.time);
+    }
+    
+    this.logger.log(`Flushed ${count} buffered chunk(s) (${bytes} bytes) to ${this.name}`);
+  }
+
+  /**
+   * Clears any buffered audio
+   */
+  clearAudioQueue() {
+    this.audioQueue = [];
+    this.audioQueueBytes = 0;
+  }
+
+  /**
+   * Schedules the next reconnect attempt using exponential backoff.
+   * Only one attempt is ever pending or in flight at a time.
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.isReconnecting) {
+      return;
+    }
+    
+    const { maxAttempts, baseDelayMs, maxDelayMs } = this.reconnectPolicy;
+    
+    if (this.reconnectAttempt >= maxAttempts) {
+      this.logger.log(`Giving up on ${this.name} after ${this.reconnectAttempt} reconnect attempt(s)`);
+      const attempts = this.reconnectAttempt;
+      this.shouldReconnect = false;
+      this.reconnectAttempt = 0;
+      this.clearAudioQueue();
+      this.onReconnectFailed(attempts);
+      return;
+    }
+    
+    this.reconnectAttempt += 1;
+    const attempt = this.reconnectAttempt;
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    
+    this.logger.log(`Reconnecting to ${this.name} in ${delay}ms (attempt ${attempt}/${maxAttempts})`);
+    this.onReconnecting(attempt, delay);
+    
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      this.isReconnecting = true;
+      
+      // Everything sent on the previous socket moves the clock forward
+      this.streamTimeOffset += this.socketBytesSent / this.getBytesPerSecond();
+      this.socketBytesSent = 0;
+      
+      const connected = await this.openSocket(this.connectOptions);
+      this.isReconnecting = false;
+      
+      // disconnect() was called while the attempt was in flight
+      if (!this.shouldReconnect) {
+        this.closeSocket();
+        return;
+      }
+      
+      if (connected) {
+        this.logger.log(`Reconnected to ${this.name} on attempt ${attempt}`);
+        this.reconnectAttempt = 0;
+        this.onReconnected(attempt);
+        this.flushAudioQueue();
+      } else {
+        this.closeSocket();
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Gets the byte rate of the audio announced in the listen URL
+   * 
+   * @returns {number} Bytes of audio per second
+   */
+  getBytesPerSecond() {
+    return getBytesPerSecond(this.getAudioFormat());
+  }
+
+  /**
+   * Gets how much audio has been sent since connect, across reconnects
+   * 
+   * @returns {number} Seconds of audio sent
+   */
+  getSecondsSent() {
+    return this.streamTimeOffset + this.socketBytesSent / this.getBytesPerSecond();
+  }
+
+  /**
+   * Maps a position in the audio sent onto the session clock
+   * 
+   * @param {number} sent - Seconds into the audio sent since connect
+   * @param {boolean} [isEnd=false] - Whether the time ends a span; an end that
+   *   falls exactly on a skipped gap stays before the gap
+   * @returns {number} Seconds into the session
+   */
+  toSessionTime(sent, isEnd = false) {
+    for (let i = this.timeline.length - 1; i >= 0; i--) {
+      const point = this.timeline[i];
+      if (point.sent < sent || (!isEnd && point.sent === sent)) {
+        return point.time + (sent - point.sent);
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Dispatches a server message with its timestamps moved onto the session clock
+   * 
+   * @param {Object} response - Parsed JSON message from the server
+   */
+  handleMessage(response) {
+    super.handleMessage(this.applyStreamTimeOffset(response));
+  }
+
+  /**
+   * Moves the timestamps of a server message from the current socket's clock
+   * onto the session clock, accounting for earlier sockets and skipped audio
+   * 
+   * @param {Object} response - Parsed JSON message from the server
+   * @returns {Object} The message with timestamps relative to the start of the session
+   */
+  applyStreamTimeOffset(response) {
+    const offset = this.streamTimeOffset;
+    if (!offset && this.timeline.length === 0) {
+      return response;
+    }
+    
+    const toStart = (time) => this.toSessionTime(time + offset);
+    const toEnd = (time) => this.toSessionTime(time + offset, true);
+    
+    if (response.type === 'Results') {
+      const start = toStart(response.start || 0);
+      const end = toEnd((response.start || 0) + (response.duration || 0));
+      
+      return {
+        ...response,
+        start,
+        duration: end - start,
+        channel: response.channel && {
+          ...response.channel,
+          alternatives: (response.channel.alternatives || []).map(alternative => ({
+            ...alternative,
+            words: (alternative.words || []).map(word => ({
+              ...word,
+              start: toStart(word.start),
+              end: toEnd(word.end),
+            })),
+          })),
+        },
+      };
+    }
+    
+    if (response.type === 'SpeechStarted' && typeof response.timestamp === 'number') {
+      return { ...response, timestamp: toStart(response.timestamp) };
+    }
+    
+    if (response.type === 'UtteranceEnd' && typeof response.last_word_end === 'number') {
+      return { ...response, last_word_end: toEnd(response.last_word_end) };
+    }
+    
+    return response;
+  }
+
+  /**
+   * Transcribes a complete audio file with the pre-recorded API. The file is
+   * uploaded straight from storage rather than read into memory.
+   * 
+   * @param {string} uri - Local URI of a WAV, MP3, M4A or other audio file
+   * @param {Object} [options] - Transcription options (see connect) and audio
+   *   intelligence flags (see appendIntelligenceParams)
+   * @param {string} [options.mimeType] - Content type of the file; guessed from the extension if missing
+   * @returns {Promise<Object>} Deepgram's pre-recorded response
+   * @throws {Error} When the configuration is incomplete or Deepgram rejects the request
+   */
+  async transcribeFile(uri, { mimeType, ...options } = {}) {
+    if (!this.validateConfig()) {
+      throw new Error(`${this.name} is not configured`);
+    }
+    
+    const url = this.buildPrerecordedUrl(options);
+    this.logger.log(`Uploading ${uri} to ${this.name}: ${url.toString()}`);
+    
+    const result = await FileSystem.uploadAsync(url.toString(), uri, {
+      httpMethod: 'POST',
+      uploadType: FileSystem.FileSystemUploadType.BINARY_CONTENT,
+      headers: {
+        Authorization: `Token ${this.apiKey}`,
+        'Content-Type': mimeType || getAudioMimeType(uri)
+      }
+    });
+    
+    let body = null;
+    try {
+      body = JSON.parse(result.body);
+    } catch (error) {
+      // Reported below with the status code
+    }
+    
+    if (result.status < 200 || result.status >= 300 || !body) {
+      const reason = (body && (body.err_msg || body.message)) || result.body;
+      throw new Error(`${this.name} returned ${result.status}: ${reason}`);
+    }
+    
+    this.logger.log(`${this.name} transcribed ${body.metadata ? body.metadata.duration : '?'}s of audio`);
+    return body;
+  }
+
   /**
    * Gets a readable name for a WebSocket ready state value
    * 
@@ -226,18 +757,86 @@ class DeepgramService {
   }
 
   /**
-   * Closes the WebSocket connection
+   * Ends the stream gracefully. Deepgram answers `CloseStream` by sending the
+   * remaining final results and then closing the socket.
+   * 
+   * @param {number} [timeoutMs=3000] - How long to wait for the server to close
+   * @returns {Promise<void>} Resolves once the connection is closed
+   */
+  finish(timeoutMs = 3000) {
+    const socket = this.socket;
+    
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      this.disconnect();
+      return Promise.resolve();
+    }
+    
+    if (this.audioQueue.length > 0) {
+      this.logger.log(`Discarding ${this.audioQueue.length} buffered chunk(s) on finish`);
+    }
+    
+    // Stop reconnecting but keep the socket open for the last results
+    this.shouldReconnect = false;
+    this.reconnectAttempt = 0;
+    this.clearAudioQueue();
+    
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.logger.log(`${this.name} did not close the stream in ${timeoutMs}ms, closing it`);
+        this.disconnect();
+        resolve();
+      }, timeoutMs);
+      
+      const handleClose = socket.onclose;
+      socket.onclose = (event) => {
+        clearTimeout(timer);
+        handleClose(event);
+        resolve();
+      };
+      
+      try {
+        socket.send(JSON.stringify({ type: 'CloseStream' }));
+      } catch (error) {
+        this.logger.log(`Error finishing ${this.name} stream: ${error.message}`);
+        clearTimeout(timer);
+        this.disconnect();
+        resolve();
+      }
+    });
+  }
+
+  /**
+   * Closes the WebSocket connection and stops any reconnect in progress
    */
   disconnect() {
+    this.shouldReconnect = false;
+    this.reconnectAttempt = 0;
+    this.clearAudioQueue();
+    
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    
+    this.closeSocket();
+  }
+
+  /**
+   * Closes the current WebSocket without touching reconnect state
+   */
+  closeSocket() {
     try {
       if (this.socket && this.socket.readyState === WebSocket.OPEN) {
         // Send a close stream message
         this.socket.send(JSON.stringify({ type: 'CloseStream' }));
         this.socket.close();
-        this.logger.log('Closed Deepgram connection');
+        this.logger.log(`Closed ${this.name} connection`);
+      } else if (this.socket && this.socket.readyState === WebSocket.CONNECTING) {
+        // Abandon a handshake that never completed
+        this.socket.close();
       }
     } catch (error) {
-      this.logger.log(`Error closing Deepgram connection: ${error.message}`);
+      this.logger.log(`Error closing ${this.name} connection: ${error.message}`);
     } finally {
       this.socket = null;
     }
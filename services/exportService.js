@@ -0,0 +1,29 @@
+import * as FileSystem from 'expo-file-system';
+import exportTranscript, { EXPORT_FORMATS } from '../utils/transcriptExport';
+
+const EXPORTS_DIR = `${FileSystem.documentDirectory}exports/`;
+
+/**
+ * Exports a session transcript and writes it to the exports directory
+ * 
+ * @param {Object} session - Saved session
+ * @param {string} format - One of the EXPORT_FORMATS values
+ * @returns {Promise<string>} URI of the written file
+ */
+const exportSessionToFile = async (session, format) => {
+  const definition = EXPORT_FORMATS.find(option => option.value === format);
+  if (!definition) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  
+  const info = await FileSystem.getInfoAsync(EXPORTS_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(EXPORTS_DIR, { intermediates: true });
+  }
+  
+  const uri = `${EXPORTS_DIR}${session.id}.${definition.extension}`;
+  await FileSystem.writeAsStringAsync(uri, exportTranscript(session, format));
+  return uri;
+};
+
+export default exportSessionToFile;
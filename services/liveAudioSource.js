@@ -0,0 +1,100 @@
+import { NativeModules } from 'react-native';
+import { Buffer } from 'buffer';
+
+// Android MediaRecorder.AudioSource.VOICE_RECOGNITION: tuned for ASR, no AGC
+const ANDROID_VOICE_RECOGNITION_SOURCE = 6;
+
+/**
+ * Capture source that streams raw PCM from the platform audio APIs through
+ * `react-native-live-audio-stream`. The recorder runs without interruption,
+ * so consecutive callbacks are contiguous audio.
+ *
+ * The library creates a NativeEventEmitter as soon as it is loaded, which
+ * throws when the native module is missing, so it is only required once
+ * isAvailable() has confirmed the module is linked.
+ */
+class LiveAudioSource {
+  /**
+   * Checks whether the native module is linked into this build. It is
+   * missing in Expo Go, which only ships Expo's own modules.
+   * 
+   * @returns {boolean} Whether the source can be used
+   */
+  static isAvailable() {
+    return !!NativeModules.RNLiveAudioStream;
+  }
+
+  /**
+   * Creates a new LiveAudioSource
+   * 
+   * @param {Object} config - Configuration options
+   * @param {string} config.encoding - Requested sample encoding
+   * @param {number} config.sampleRate - Requested samples per second
+   * @param {number} config.channels - Requested number of channels
+   * @param {number} config.bitsPerSample - Requested bits per sample
+   * @param {Function} config.onData - Callback with (bytes: Uint8Array, format: Object) for each
+   *   chunk of PCM data; the native recorder delivers the requested format
+   * @param {Function} config.logger - Logger instance for logging events
+   */
+  constructor({ encoding, sampleRate, channels, bitsPerSample, onData, logger }) {
+    this.format = { encoding, sampleRate, channels, bitsPerSample };
+    this.onData = onData;
+    this.logger = logger || console;
+    this.stream = null;
+    this.subscription = null;
+  }
+
+  /**
+   * Human-readable source name used in log messages
+   * 
+   * @returns {string} Source name
+   */
+  get name() {
+    return 'native PCM stream';
+  }
+
+  /**
+   * Starts streaming audio
+   */
+  async start() {
+    if (!LiveAudioSource.isAvailable()) {
+      throw new Error('The native PCM stream module is not available in this build');
+    }
+    
+    const { sampleRate, channels, bitsPerSample } = this.format;
+    
+    this.stream = require('react-native-live-audio-stream').default;
+    this.stream.init({
+      sampleRate,
+      channels,
+      bitsPerSample,
+      audioSource: ANDROID_VOICE_RECOGNITION_SOURCE,
+      // ~100ms per callback on Android
+      bufferSize: Math.round(sampleRate * channels * (bitsPerSample / 8) / 10),
+    });
+    
+    this.subscription = this.stream.on('data', (base64Data) => {
+      this.onData(new Uint8Array(Buffer.from(base64Data, 'base64')), this.format);
+    });
+    
+    this.stream.start();
+    this.logger.log(`Started ${this.name}`);
+  }
+
+  /**
+   * Stops streaming audio
+   */
+  async stop() {
+    if (this.stream) {
+      this.stream.stop();
+    }
+    
+    if (this.subscription && this.subscription.remove) {
+      this.subscription.remove();
+    }
+    this.subscription = null;
+    this.logger.log(`Stopped ${this.name}`);
+  }
+}
+
+export default LiveAudioSource;
@@ -0,0 +1,79 @@
+import DeepgramService from './deepgramService';
+
+/**
+ * Transcription provider for a self-hosted or mock ASR server.
+ *
+ * The server is expected to accept the same query parameters and binary
+ * audio frames as Deepgram's streaming endpoint and to reply with the same
+ * JSON messages, so only the endpoint and authentication differ.
+ */
+class LocalWebSocketService extends DeepgramService {
+  /**
+   * Creates a new LocalWebSocketService
+   * 
+   * @param {Object} config - Configuration options
+   * @param {string} config.url - WebSocket URL of the ASR server (ws:// or wss://)
+   * @param {string} [config.token] - Optional token sent as the `token` sub-protocol
+   * @param {Function} config.onTranscriptReceived - Callback when transcript is received
+   * @param {Function} config.onSpeechStarted - Callback when speech starts
+   * @param {Function} config.onSpeechFinished - Callback when speech ends
+   * @param {Function} config.onError - Callback when error occurs
+   * @param {Function} config.onClose - Callback when connection closes
+   * @param {Function} config.logger - Logger instance for logging events
+   */
+  constructor({ url, token, ...callbacks }) {
+    super({ apiKey: token, ...callbacks });
+    this.url = url;
+  }
+
+  /**
+   * Human-readable provider name used in log messages
+   * 
+   * @returns {string} Provider name
+   */
+  get name() {
+    return 'Local ASR';
+  }
+
+  /**
+   * Gets the streaming endpoint to connect to
+   * 
+   * @returns {string} WebSocket URL without query parameters
+   */
+  getEndpoint() {
+    return this.url;
+  }
+
+  /**
+   * Gets the WebSocket sub-protocols used to authenticate
+   * 
+   * @returns {Array<string>|undefined} Sub-protocols, or undefined when no token is set
+   */
+  getProtocols() {
+    return this.apiKey ? ['token', this.apiKey] : undefined;
+  }
+
+  /**
+   * The local server only speaks the streaming protocol
+   * 
+   * @returns {Promise<Object>} Always rejects
+   */
+  transcribeFile() {
+    return Promise.reject(new Error(`${this.name} does not support transcribing files`));
+  }
+
+  /**
+   * Checks that a server URL has been configured
+   * 
+   * @returns {boolean} Whether the configuration is usable
+   */
+  validateConfig() {
+    if (!this.url) {
+      this.logger.log('ERROR: Local ASR URL is undefined or empty');
+      return false;
+    }
+    return true;
+  }
+}
+
+export default LocalWebSocketService;
@@ -0,0 +1,33 @@
+import DeepgramService from './deepgramService';
+import LocalWebSocketService from './localWebSocketService';
+
+/**
+ * Identifiers of the available transcription providers
+ */
+export const PROVIDERS = {
+  DEEPGRAM: 'deepgram',
+  LOCAL: 'local',
+};
+
+/**
+ * Creates the transcription provider for the given identifier
+ * 
+ * @param {string} provider - One of the PROVIDERS values
+ * @param {Object} config - Provider configuration and callbacks
+ * @param {string} [config.apiKey] - Deepgram API key
+ * @param {string} [config.localUrl] - WebSocket URL of the local ASR server
+ * @param {string} [config.localToken] - Optional token for the local ASR server
+ * @returns {Object} A TranscriptionProvider instance
+ */
+const createTranscriptionProvider = (provider, { apiKey, localUrl, localToken, ...callbacks }) => {
+  switch (provider) {
+    case PROVIDERS.LOCAL:
+      return new LocalWebSocketService({ url: localUrl, token: localToken, ...callbacks });
+    case PROVIDERS.DEEPGRAM:
+      return new DeepgramService({ apiKey, ...callbacks });
+    default:
+      throw new Error(`Unknown transcription provider: ${provider}`);
+  }
+};
+
+export default createTranscriptionProvider;
@@ -0,0 +1,248 @@
+import { Audio } from 'expo-av';
+import * as FileSystem from 'expo-file-system';
+import { Buffer } from 'buffer';
+import { parseWav } from '../utils/wav';
+import { getUnconvertibleFields } from '../utils/audioConverter';
+import { AudioFormatMismatchError } from '../utils/audioErrors';
+
+// How often the current segment is checked, and its minimum length
+const SEGMENT_POLL_MS = 200;
+const MIN_SEGMENT_MS = 500;
+
+/**
+ * Fallback capture source for builds without the native PCM module (Expo Go).
+ *
+ * expo-av can only record to files, so this source records short WAV
+ * segments, stops each one, reads its PCM data and starts the next. Audio
+ * spoken while a segment is being restarted is lost; use a development
+ * build with `react-native-live-audio-stream` for gap-free capture.
+ */
+class SegmentedRecorderSource {
+  /**
+   * Creates a new SegmentedRecorderSource
+   * 
+   * @param {Object} config - Configuration options
+   * @param {string} config.encoding - Requested sample encoding
+   * @param {number} config.sampleRate - Requested samples per second
+   * @param {number} config.channels - Requested number of channels
+   * @param {number} config.bitsPerSample - Requested bits per sample
+   * @param {Object} config.streamFormat - Format announced to the transcription provider,
+   *   which every segment is checked against
+   * @param {Function} config.onData - Callback with (bytes: Uint8Array, format: Object) for each
+   *   segment, where format is what the file header says was actually recorded
+   * @param {Function} [config.onError] - Callback with segments that cannot be read or are in an
+   *   encoding the stream cannot convert
+   * @param {Function} config.logger - Logger instance for logging events
+   */
+  constructor({ encoding, sampleRate, channels, bitsPerSample, streamFormat, onData, onError, logger }) {
+    this.format = { encoding, sampleRate, channels, bitsPerSample };
+    this.streamFormat = streamFormat || this.format;
+    this.onData = onData;
+    this.onError = onError || (() => {});
+    this.logger = logger || console;
+    this.hasReportedError = false;
+    this.recording = null;
+    this.interval = null;
+    this.isProcessing = false;
+    this.segmentNumber = 0;
+  }
+
+  /**
+   * Human-readable source name used in log messages
+   * 
+   * @returns {string} Source name
+   */
+  get name() {
+    return 'segmented expo-av recorder';
+  }
+
+  /**
+   * Gets the expo-av recording options for the requested format
+   * 
+   * @returns {Object} Recording options
+   */
+  getRecordingOptions() {
+    const { sampleRate, channels, bitsPerSample } = this.format;
+    
+    return {
+      android: {
+        extension: '.wav',
+        outputFormat: Audio.RECORDING_OPTION_ANDROID_OUTPUT_FORMAT_PCM_16BIT,
+        audioEncoder: Audio.RECORDING_OPTION_ANDROID_AUDIO_ENCODER_PCM_16BIT,
+        sampleRate,
+        numberOfChannels: channels,
+        bitRate: bitsPerSample * sampleRate * channels,
+      },
+      ios: {
+        extension: '.wav',
+        outputFormat: Audio.RECORDING_OPTION_IOS_OUTPUT_FORMAT_LINEARPCM,
+        audioQuality: Audio.RECORDING_OPTION_IOS_AUDIO_QUALITY_HIGH,
+        sampleRate,
+        numberOfChannels: channels,
+        bitRate: bitsPerSample * sampleRate * channels,
+        linearPCMBitDepth: bitsPerSample,
+        linearPCMIsBigEndian: false,
+        linearPCMIsFloat: false,
+      },
+    };
+  }
+
+  /**
+   * Starts a new recording segment
+   */
+  async startSegment() {
+    const { recording } = await Audio.Recording.createAsync(this.getRecordingOptions());
+    this.recording = recording;
+  }
+
+  /**
+   * Starts recording segments
+   */
+  async start() {
+    this.segmentNumber = 0;
+    this.hasReportedError = false;
+    await this.startSegment();
+    this.interval = setInterval(() => this.processCurrentSegment(), SEGMENT_POLL_MS);
+    this.logger.log(`Started ${this.name} (audio between segments is not captured)`);
+  }
+
+  /**
+   * Stops recording and emits the audio of the last segment
+   */
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    
+    // Let a segment that is already being read finish first
+    while (this.isProcessing) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    
+    if (this.recording) {
+      const recording = this.recording;
+      this.recording = null;
+      
+      try {
+        await recording.stopAndUnloadAsync();
+        await this.readSegment(recording.getURI());
+      } catch (error) {
+        this.logger.log(`Error stopping recording: ${error.message}`);
+      }
+    }
+    
+    this.logger.log(`Stopped ${this.name}`);
+  }
+
+  /**
+   * Rotates the current segment once it is long enough
+   */
+  async processCurrentSegment() {
+    if (this.isProcessing || !this.recording) {
+      return;
+    }
+    
+    this.isProcessing = true;
+    
+    try {
+      const status = await this.recording.getStatusAsync();
+      
+      if (!status.isRecording) {
+        this.logger.log('Recording is not active, starting new recording');
+        await this.startSegment();
+        return;
+      }
+      
+      // Only process if we've recorded enough audio
+      if (status.durationMillis < MIN_SEGMENT_MS) {
+        return;
+      }
+      
+      const recording = this.recording;
+      const uri = recording.getURI();
+      
+      // Stop current recording and start the next one before reading
+      await recording.stopAndUnloadAsync();
+      await this.startSegment();
+      await this.readSegment(uri);
+    } catch (error) {
+      this.logger.log(`Error in recording cycle: ${error.message}`);
+      
+      // Try to recover by starting a new recording
+      try {
+        await this.startSegment();
+        this.logger.log('Recovery recording started successfully');
+      } catch (recoveryError) {
+        this.logger.log(`Failed to start recovery recording: ${recoveryError.message}`);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Reads the PCM data of a finished segment, emits it together with the
+   * format found in its header and deletes the file
+   * 
+   * @param {string} uri - URI of the segment WAV file
+   */
+  async readSegment(uri) {
+    const segmentNumber = this.segmentNumber++;
+    
+    try {
+      if (!uri) {
+        this.logger.log('No URI available for recording');
+        return;
+      }
+      
+      const fileInfo = await FileSystem.getInfoAsync(uri);
+      
+      if (!fileInfo.exists) {
+        this.logger.log(`File not found: ${uri}`);
+        return;
+      }
+      
+      // Skip empty or very small files
+      if (fileInfo.size <= 100) {
+        this.logger.log(`Segment #${segmentNumber} too small (${fileInfo.size} bytes), skipping`);
+        return;
+      }
+      
+      const base64Data = await FileSystem.readAsStringAsync(uri, {
+        encoding: FileSystem.EncodingType.Base64
+      });
+      const bytes = new Uint8Array(Buffer.from(base64Data, 'base64'));
+      
+      // The platform recorder decides the header layout and may ignore the
+      // requested format, so the stream converts from the format in the file;
+      // a segment is only refused where it differs from the announced format
+      // in a way the converter cannot bridge
+      const { format, dataOffset, dataLength } = parseWav(bytes);
+      const unconvertibleFields = getUnconvertibleFields(format, this.streamFormat);
+      if (unconvertibleFields.length > 0) {
+        throw new AudioFormatMismatchError(this.streamFormat, format, unconvertibleFields);
+      }
+      
+      this.onData(bytes.subarray(dataOffset, dataOffset + dataLength), format);
+    } catch (error) {
+      this.logger.log(`Error reading segment #${segmentNumber}: ${error.message}`);
+      
+      // Every following segment fails the same way, so report it once
+      if (!this.hasReportedError) {
+        this.hasReportedError = true;
+        this.onError(error);
+      }
+    } finally {
+      if (uri) {
+        try {
+          await FileSystem.deleteAsync(uri, { idempotent: true });
+        } catch (cleanupError) {
+          this.logger.log(`Warning: Could not delete temporary file: ${cleanupError.message}`);
+        }
+      }
+    }
+  }
+}
+
+export default SegmentedRecorderSource;
@@ -0,0 +1,255 @@
+import * as FileSystem from 'expo-file-system';
+import { File, Paths } from 'expo-file-system/next';
+import { Buffer } from 'buffer';
+import { createWavHeader, WAV_HEADER_SIZE } from '../utils/wav';
+
+// Most PCM held in memory before it is written out as a part file: 30 seconds
+// of the 16 kHz mono stream format. A multiple of 3 bytes, so the base64 of
+// consecutive parts can be joined without decoding them.
+const PART_BYTES = 960000;
+
+/**
+ * Writes every PCM chunk of a session into one continuous WAV file.
+ *
+ * Audio goes to disk while the session is recorded, so a long session never
+ * sits in memory and a crash leaves what was recorded on disk. Where the
+ * streaming file API is available the chunks are appended through a file
+ * handle and the header is rewritten with the real sizes at the end. Expo Go
+ * does not have that API and the legacy one cannot append, so there the
+ * audio is written as rolling part files of at most PART_BYTES, which are
+ * joined behind the final header when the session ends. Only that join
+ * holds the whole file in memory, as base64: the legacy API can only write a
+ * file from one string, so the parts read back and the string built from
+ * them are both held at once, about twice the base64 size of the file at
+ * its peak.
+ */
+class SessionAudioWriter {
+  /**
+   * Creates a new SessionAudioWriter
+   * 
+   * @param {Object} config - Configuration options
+   * @param {number} [config.sampleRate=16000] - Samples per second of the PCM data
+   * @param {number} [config.channels=1] - Number of channels
+   * @param {number} [config.bitsPerSample=16] - Bits per sample
+   * @param {Function} config.logger - Logger instance for logging events
+   */
+  constructor({ sampleRate = 16000, channels = 1, bitsPerSample = 16, logger }) {
+    this.format = { sampleRate, channels, bitsPerSample };
+    this.logger = logger || console;
+    this.uri = null;
+    this.file = null;
+    this.handle = null;
+    this.dataLength = 0;
+    
+    // Part file mode: PCM waiting to be written, the parts written so far
+    // and the chain of pending writes
+    this.pending = [];
+    this.pendingLength = 0;
+    this.parts = [];
+    this.writes = Promise.resolve();
+    this.writeError = null;
+  }
+
+  /**
+   * Creates the output file and writes a placeholder header
+   * 
+   * @returns {string} URI of the file being written
+   */
+  open() {
+    const name = `session-${Date.now()}.wav`;
+    this.dataLength = 0;
+    this.pending = [];
+    this.pendingLength = 0;
+    this.parts = [];
+    this.writes = Promise.resolve();
+    this.writeError = null;
+    
+    try {
+      this.file = new File(Paths.cache, name);
+      this.file.create();
+      this.handle = this.file.open();
+      this.handle.writeBytes(createWavHeader({ ...this.format, dataLength: 0 }));
+      this.uri = this.file.uri;
+      this.logger.log(`Writing session audio to ${this.uri}`);
+    } catch (error) {
+      // Expo Go: the placeholder header starts the first part file
+      this.file = null;
+      this.handle = null;
+      this.uri = `${FileSystem.cacheDirectory}${name}`;
+      this.queueBytes(createWavHeader({ ...this.format, dataLength: 0 }));
+      this.logger.log(`Writing session audio to ${this.uri} in parts (${error.message})`);
+    }
+    
+    return this.uri;
+  }
+
+  /**
+   * Appends PCM data to the file
+   * 
+   * @param {Uint8Array} pcmData - Raw PCM bytes without any header
+   */
+  append(pcmData) {
+    if (!this.uri || !pcmData || pcmData.length === 0) {
+      return;
+    }
+    
+    if (this.handle) {
+      this.handle.writeBytes(pcmData);
+    } else {
+      this.queueBytes(pcmData);
+    }
+    this.dataLength += pcmData.length;
+  }
+
+  /**
+   * Holds bytes for the next part file, writing a part once enough is held
+   * 
+   * @param {Uint8Array} bytes - Bytes to add
+   */
+  queueBytes(bytes) {
+    // Frames may be reused by the stream, so keep a copy
+    this.pending.push(bytes.slice());
+    this.pendingLength += bytes.length;
+    
+    if (this.pendingLength >= PART_BYTES) {
+      this.writePart(PART_BYTES);
+    }
+  }
+
+  /**
+   * Writes the first bytes held in memory to a new part file
+   * 
+   * @param {number} length - Number of bytes to write; the rest stays in memory
+   */
+  writePart(length) {
+    const all = Buffer.concat(this.pending, this.pendingLength);
+    const rest = all.subarray(length);
+    this.pending = rest.length > 0 ? [new Uint8Array(rest)] : [];
+    this.pendingLength = rest.length;
+    
+    const uri = `${this.uri}.part${this.parts.length}`;
+    const base64Data = all.subarray(0, length).toString('base64');
+    this.parts.push(uri);
+    
+    this.writes = this.writes.then(() => (
+      FileSystem.writeAsStringAsync(uri, base64Data, { encoding: FileSystem.EncodingType.Base64 })
+    )).catch((error) => {
+      this.writeError = this.writeError || error;
+    });
+  }
+
+  /**
+   * Gets the duration of the audio written so far
+   * 
+   * @returns {number} Duration in seconds
+   */
+  getDuration() {
+    const { sampleRate, channels, bitsPerSample } = this.format;
+    return this.dataLength / (sampleRate * channels * (bitsPerSample / 8));
+  }
+
+  /**
+   * Finishes the file with the final sizes in its header
+   * 
+   * @returns {Promise<string|null>} URI of the finished file, or null if nothing was recorded
+   */
+  async finish() {
+    if (!this.uri) {
+      return null;
+    }
+    
+    if (this.dataLength === 0) {
+      this.logger.log('No session audio was recorded, discarding file');
+      await this.discard();
+      return null;
+    }
+    
+    const header = createWavHeader({ ...this.format, dataLength: this.dataLength });
+    if (this.handle) {
+      this.handle.offset = 0;
+      this.handle.writeBytes(header);
+      this.handle.close();
+      this.handle = null;
+    } else {
+      await this.joinParts(header);
+    }
+    
+    const uri = this.uri;
+    this.uri = null;
+    this.logger.log(`Session audio finished: ${this.dataLength + WAV_HEADER_SIZE} bytes, ${this.getDuration().toFixed(1)}s`);
+    return uri;
+  }
+
+  /**
+   * Writes the last part, then joins all parts into the output file behind
+   * the final header and deletes them. The parts read back and the joined
+   * string are in memory together, about twice the file as base64.
+   * 
+   * @param {Uint8Array} header - Header with the final sizes
+   */
+  async joinParts(header) {
+    if (this.pendingLength > 0) {
+      this.writePart(this.pendingLength);
+    }
+    await this.writes;
+    if (this.writeError) {
+      throw this.writeError;
+    }
+    
+    // Every part but the last is a multiple of 3 bytes, so their base64 can be
+    // joined as text; only the first is decoded to replace its placeholder header
+    const encoded = [];
+    for (let i = 0; i < this.parts.length; i++) {
+      const base64Data = await FileSystem.readAsStringAsync(this.parts[i], {
+        encoding: FileSystem.EncodingType.Base64
+      });
+      if (i === 0) {
+        const first = Buffer.from(base64Data, 'base64');
+        first.set(header);
+        encoded.push(first.toString('base64'));
+      } else {
+        encoded.push(base64Data);
+      }
+    }
+    
+    await FileSystem.writeAsStringAsync(this.uri, encoded.join(''), {
+      encoding: FileSystem.EncodingType.Base64
+    });
+    await this.deleteParts();
+  }
+
+  /**
+   * Deletes the part files
+   */
+  async deleteParts() {
+    const parts = this.parts;
+    this.parts = [];
+    await Promise.all(parts.map(uri => FileSystem.deleteAsync(uri, { idempotent: true })));
+  }
+
+  /**
+   * Closes and deletes the file without keeping it
+   */
+  async discard() {
+    try {
+      if (this.handle) {
+        this.handle.close();
+        this.handle = null;
+      }
+      if (this.file && this.file.exists) {
+        this.file.delete();
+      }
+      this.pending = [];
+      this.pendingLength = 0;
+      await this.writes;
+      await this.deleteParts();
+    } catch (error) {
+      this.logger.log(`Error discarding session audio: ${error.message}`);
+    } finally {
+      this.file = null;
+      this.uri = null;
+    }
+  }
+}
+
+export default SessionAudioWriter;
@@ -0,0 +1,106 @@
+import * as FileSystem from 'expo-file-system';
+
+const SESSIONS_DIR = `${FileSystem.documentDirectory}sessions/`;
+const SESSION_FILE = 'session.json';
+
+/**
+ * Gets the directory that holds a session's files
+ * 
+ * @param {string} id - Session identifier
+ * @returns {string} Directory URI ending in a slash
+ */
+const getSessionDir = (id) => `${SESSIONS_DIR}${id}/`;
+
+/**
+ * Makes sure a directory exists
+ * 
+ * @param {string} dir - Directory URI
+ */
+const ensureDir = async (dir) => {
+  const info = await FileSystem.getInfoAsync(dir);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+  }
+};
+
+/**
+ * Creates an identifier for a new session
+ * 
+ * @param {Date} [date] - Start time of the session
+ * @returns {string} Sortable identifier based on the start time
+ */
+export const createSessionId = (date = new Date()) => (
+  date.toISOString().replace(/[:.]/g, '-')
+);
+
+/**
+ * Gets the URI of a session's audio file
+ * 
+ * @param {Object} session - Saved session
+ * @returns {string|null} Audio URI, or null when the session has no audio
+ */
+export const getSessionAudioUri = (session) => (
+  session.audioFile ? `${getSessionDir(session.id)}${session.audioFile}` : null
+);
+
+/**
+ * Saves a session, moving its audio file into the session directory
+ * 
+ * @param {Object} session - Session record; must have an id
+ * @param {Object} [options] - Save options
+ * @param {string} [options.audioUri] - Temporary audio file to move into the session
+ * @returns {Promise<Object>} The saved session
+ */
+export const saveSession = async (session, { audioUri } = {}) => {
+  const dir = getSessionDir(session.id);
+  await ensureDir(dir);
+  
+  let saved = session;
+  
+  if (audioUri) {
+    const extension = audioUri.split('.').pop();
+    const audioFile = `audio.${extension}`;
+    await FileSystem.moveAsync({ from: audioUri, to: `${dir}${audioFile}` });
+    saved = { ...session, audioFile };
+  }
+  
+  await FileSystem.writeAsStringAsync(`${dir}${SESSION_FILE}`, JSON.stringify(saved));
+  return saved;
+};
+
+/**
+ * Loads a saved session
+ * 
+ * @param {string} id - Session identifier
+ * @returns {Promise<Object>} The session record
+ */
+export const loadSession = async (id) => {
+  const contents = await FileSystem.readAsStringAsync(`${getSessionDir(id)}${SESSION_FILE}`);
+  return JSON.parse(contents);
+};
+
+/**
+ * Lists all saved sessions, newest first
+ * 
+ * @returns {Promise<Array<Object>>} Session records
+ */
+export const listSessions = async () => {
+  await ensureDir(SESSIONS_DIR);
+  const ids = await FileSystem.readDirectoryAsync(SESSIONS_DIR);
+  
+  const sessions = await Promise.all(ids.map(id => loadSession(id).catch(() => null)));
+  
+  return sessions
+    .filter(Boolean)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+};
+
+/**
+ * Deletes a session and all of its files
+ * 
+ * @param {string} id - Session identifier
+ * @returns {Promise<void>}
+ */
+export const deleteSession = async (id) => {
+  await FileSystem.deleteAsync(getSessionDir(id), { idempotent: true });
+};
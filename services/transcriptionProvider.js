@@ -0,0 +1,142 @@
+/**
+ * Base class describing the contract every transcription provider implements.
+ *
+ * A provider owns a streaming connection to a speech recognition backend and
+ * reports results through the callbacks passed to its constructor. Messages
+ * are expected in Deepgram's JSON shape (`Results`, `SpeechStarted`, ...), so
+ * any backend that speaks that shape can be plugged in behind `useDeepgram`.
+ */
+class TranscriptionProvider {
+  /**
+   * Creates a new TranscriptionProvider
+   *
+   * @param {Object} config - Configuration options
+   * @param {Function} config.onTranscriptReceived - Callback when transcript is received
+   * @param {Function} config.onSpeechStarted - Callback when speech starts
+   * @param {Function} config.onSpeechFinished - Callback when speech ends
+   * @param {Function} config.onError - Callback when error occurs
+   * @param {Function} config.onClose - Callback when connection closes
+   * @param {Function} config.logger - Logger instance for logging events
+   */
+  constructor({
+    onTranscriptReceived,
+    onSpeechStarted,
+    onSpeechFinished,
+    onError,
+    onClose,
+    logger
+  }) {
+    this.onTranscriptReceived = onTranscriptReceived || (() => {});
+    this.onSpeechStarted = onSpeechStarted || (() => {});
+    this.onSpeechFinished = onSpeechFinished || (() => {});
+    this.onError = onError || (() => {});
+    this.onClose = onClose || (() => {});
+    this.logger = logger || console;
+  }
+
+  /**
+   * Human-readable provider name used in log messages
+   *
+   * @returns {string} Provider name
+   */
+  get name() {
+    return 'Transcription provider';
+  }
+
+  /**
+   * Opens the streaming connection
+   *
+   * @param {Object} options - Connection options
+   * @returns {Promise<boolean>} Whether connection was successful
+   */
+  connect(options) {
+    throw new Error(`${this.constructor.name} must implement connect()`);
+  }
+
+  /**
+   * Sends a chunk of audio over the open connection
+   *
+   * @param {Uint8Array} audioData - Audio data to send
+   * @param {number} [time] - Position of the chunk in the session in seconds, for
+   *   streams that skip audio; result timestamps are reported on this clock
+   * @returns {boolean} Whether sending was successful
+   */
+  sendAudio(audioData, time) {
+    throw new Error(`${this.constructor.name} must implement sendAudio()`);
+  }
+
+  /**
+   * Transcribes a complete audio file instead of a live stream
+   *
+   * @param {string} uri - Local URI of the audio file
+   * @param {Object} [options] - Transcription options
+   * @returns {Promise<Object>} Response in Deepgram's pre-recorded shape
+   */
+  transcribeFile(uri, options) {
+    return Promise.reject(new Error(`${this.name} does not support transcribing files`));
+  }
+
+  /**
+   * Keeps the connection open while no audio is being sent
+   *
+   * @returns {boolean} Whether a keepalive was sent
+   */
+  keepAlive() {
+    return false;
+  }
+
+  /**
+   * Closes the streaming connection
+   */
+  disconnect() {
+    throw new Error(`${this.constructor.name} must implement disconnect()`);
+  }
+
+  /**
+   * Ends the stream gracefully, giving the server a chance to deliver the
+   * results for audio it has already received
+   *
+   * @returns {Promise<void>} Resolves once the connection is closed
+   */
+  finish() {
+    this.disconnect();
+    return Promise.resolve();
+  }
+
+  /**
+   * Gets the current connection state
+   *
+   * @returns {number} WebSocket state (CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3)
+   */
+  getSocketState() {
+    throw new Error(`${this.constructor.name} must implement getSocketState()`);
+  }
+
+  /**
+   * Dispatches a parsed server message to the matching callback
+   *
+   * @param {Object} response - Parsed JSON message from the server
+   */
+  handleMessage(response) {
+    if (response.type === 'Results') {
+      if (response.channel && response.channel.alternatives && response.channel.alternatives.length > 0) {
+        const transcript = response.channel.alternatives[0].transcript;
+
+        if (transcript && transcript.trim()) {
+          this.onTranscriptReceived(transcript, response.is_final, response);
+        }
+      }
+    } else if (response.type === 'SpeechStarted') {
+      this.logger.log(`Speech detected by ${this.name}`);
+      this.onSpeechStarted(response);
+    } else if (response.type === 'SpeechFinished' || response.type === 'UtteranceEnd') {
+      this.logger.log('Speech finished');
+      this.onSpeechFinished(response);
+    } else if (response.type === 'Error') {
+      this.logger.log(`${this.name} error: ${JSON.stringify(response)}`);
+      this.onError(response);
+    }
+  }
+}
+
+export default TranscriptionProvider;
@@ -0,0 +1,29 @@
+import * as FileSystem from 'expo-file-system';
+
+const VOCABULARY_FILE = `${FileSystem.documentDirectory}vocabulary.json`;
+
+/**
+ * Loads the saved vocabulary lists from device storage
+ * 
+ * @returns {Promise<Array<Object>>} Lists as { id, name, terms: [{ term, boost }] }
+ */
+export const loadVocabularyLists = async () => {
+  const fileInfo = await FileSystem.getInfoAsync(VOCABULARY_FILE);
+  if (!fileInfo.exists) {
+    return [];
+  }
+  
+  const contents = await FileSystem.readAsStringAsync(VOCABULARY_FILE);
+  const parsed = JSON.parse(contents);
+  return Array.isArray(parsed.lists) ? parsed.lists : [];
+};
+
+/**
+ * Saves all vocabulary lists to device storage
+ * 
+ * @param {Array<Object>} lists - Lists to save
+ * @returns {Promise<void>}
+ */
+export const saveVocabularyLists = async (lists) => {
+  await FileSystem.writeAsStringAsync(VOCABULARY_FILE, JSON.stringify({ lists }));
+};
@@ -0,0 +1,303 @@
+import { AudioFormatMismatchError } from './audioErrors';
+
+// Zero crossings of the sinc kernel on each side of its centre
+const KERNEL_ZERO_CROSSINGS = 8;
+// Fractional positions the kernel is tabulated at
+const KERNEL_PHASES = 128;
+// Cutoff as a fraction of the lower Nyquist frequency, leaving room for the transition band
+const CUTOFF_RATIO = 0.9;
+
+/**
+ * Reads one sample as a float in [-1, 1)
+ *
+ * @callback SampleReader
+ * @param {DataView} view - Source view
+ * @param {number} offset - Byte offset of the sample
+ * @returns {number} Sample value
+ */
+
+/**
+ * Sample readers for the encodings the converter understands, keyed by
+ * encoding name (see getEncoding in wav.js)
+ *
+ * @type {Object<string, SampleReader>}
+ */
+const SAMPLE_READERS = {
+  linear8: (view, offset) => (view.getUint8(offset) - 128) / 128,
+  linear16: (view, offset) => view.getInt16(offset, true) / 32768,
+  linear24: (view, offset) => (
+    ((view.getInt8(offset + 2) << 16) | (view.getUint8(offset + 1) << 8) | view.getUint8(offset)) / 8388608
+  ),
+  linear32: (view, offset) => view.getInt32(offset, true) / 2147483648,
+  float32: (view, offset) => view.getFloat32(offset, true),
+  float64: (view, offset) => view.getFloat64(offset, true),
+};
+
+/**
+ * Finds the fields in which audio differs from the stream format and which
+ * the converter cannot bridge. Any positive sample rate and channel count can
+ * be converted, and the encoding and bit depth when the samples can be decoded.
+ *
+ * @param {Object} format - Format the audio was recorded in
+ * @param {Object} streamFormat - Format to convert to
+ * @returns {Array<string>} Names of the fields that differ and cannot be converted
+ */
+export const getUnconvertibleFields = (format, streamFormat) => {
+  const canDecode = !!SAMPLE_READERS[format.encoding];
+  const canConvert = {
+    encoding: canDecode,
+    sampleRate: format.sampleRate > 0,
+    channels: format.channels > 0,
+    bitsPerSample: canDecode,
+  };
+  return Object.keys(canConvert)
+    .filter(field => format[field] !== streamFormat[field] && !canConvert[field]);
+};
+
+/**
+ * Finds the input sample and kernel phase an output position is filtered
+ * at. The phase is rounded to the table, so a position just short of the
+ * next sample moves on to that sample with phase 0.
+ *
+ * @param {number} position - Position in input samples
+ * @returns {Object} { index, phase }
+ */
+const getKernelTap = (position) => {
+  const index = Math.floor(position);
+  const phase = Math.round((position - index) * KERNEL_PHASES);
+  return phase === KERNEL_PHASES ? { index: index + 1, phase: 0 } : { index, phase };
+};
+
+/**
+ * Checks whether two formats are identical, in which case no conversion is needed
+ *
+ * @param {Object} a - First format
+ * @param {Object} b - Second format
+ * @returns {boolean} Whether the formats match
+ */
+const isSameFormat = (a, b) => (
+  a.encoding === b.encoding &&
+  a.sampleRate === b.sampleRate &&
+  a.channels === b.channels
+);
+
+/**
+ * Builds the windowed-sinc low-pass kernel, tabulated at KERNEL_PHASES
+ * fractional offsets. Each row is normalized to unity gain at DC.
+ *
+ * @param {number} cutoff - Cutoff frequency in cycles per input sample
+ * @param {number} halfWidth - Kernel half width in input samples
+ * @returns {Array<Float32Array>} One row of 2 * halfWidth taps per phase
+ */
+const createKernelTable = (cutoff, halfWidth) => {
+  const table = [];
+
+  for (let phase = 0; phase < KERNEL_PHASES; phase++) {
+    const taps = new Float32Array(halfWidth * 2);
+    const fraction = phase / KERNEL_PHASES;
+    let sum = 0;
+
+    for (let i = 0; i < taps.length; i++) {
+      // Distance from the output position to input sample i
+      const distance = halfWidth - 1 - i + fraction;
+      const x = 2 * cutoff * distance;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+
+      // Blackman window over [-halfWidth, halfWidth]
+      const position = (distance + halfWidth) / (2 * halfWidth);
+      const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * position) + 0.08 * Math.cos(4 * Math.PI * position);
+
+      taps[i] = sinc * window;
+      sum += taps[i];
+    }
+
+    for (let i = 0; i < taps.length; i++) {
+      taps[i] /= sum;
+    }
+    table.push(taps);
+  }
+
+  return table;
+};
+
+/**
+ * Streaming converter from any PCM or float format the capture side
+ * delivers to the mono linear16 stream the transcription provider expects.
+ *
+ * Chunks are decoded to floats, down-mixed by averaging the channels and
+ * resampled with a windowed-sinc filter whose cutoff sits below the lower of
+ * the two Nyquist frequencies, so downsampling does not alias. State carries
+ * over between calls: partial sample frames and the filter history are kept,
+ * so converting a stream chunk by chunk gives the same result as converting
+ * it in one go. Output sample k lines up with input time k / outputRate.
+ */
+class AudioConverter {
+  /**
+   * Creates a new AudioConverter
+   *
+   * @param {Object} inputFormat - Format of the captured audio
+   * @param {Object} outputFormat - Format to produce; must be mono linear16
+   * @throws {AudioFormatMismatchError} When the input cannot be decoded or the
+   *   output is not mono linear16
+   */
+  constructor(inputFormat, outputFormat) {
+    const unconvertibleFields = getUnconvertibleFields(inputFormat, outputFormat);
+    if (unconvertibleFields.length > 0) {
+      throw new AudioFormatMismatchError(outputFormat, inputFormat, unconvertibleFields);
+    }
+
+    const supportedOutput = { encoding: 'linear16', channels: 1 };
+    const unsupportedFields = Object.keys(supportedOutput)
+      .filter(field => outputFormat[field] !== supportedOutput[field]);
+    if (unsupportedFields.length > 0) {
+      throw new AudioFormatMismatchError(supportedOutput, outputFormat, unsupportedFields);
+    }
+
+    this.inputFormat = inputFormat;
+    this.outputFormat = outputFormat;
+    this.isPassThrough = isSameFormat(inputFormat, outputFormat);
+
+    this.readSample = SAMPLE_READERS[inputFormat.encoding];
+    this.bytesPerSample = inputFormat.bitsPerSample / 8;
+    this.blockAlign = this.bytesPerSample * inputFormat.channels;
+    this.remainder = new Uint8Array(0);
+
+    // Input samples advanced per output sample
+    this.step = inputFormat.sampleRate / outputFormat.sampleRate;
+
+    const cutoff = CUTOFF_RATIO * 0.5 * Math.min(1, outputFormat.sampleRate / inputFormat.sampleRate);
+    this.halfWidth = Math.ceil(KERNEL_ZERO_CROSSINGS / (2 * cutoff));
+    this.kernel = this.step === 1 ? null : createKernelTable(cutoff, this.halfWidth);
+
+    // Samples before the first one count as silence
+    this.history = new Float32Array(this.halfWidth - 1);
+    this.position = this.halfWidth - 1;
+  }
+
+  /**
+   * Converts the next chunk of captured audio
+   *
+   * @param {Uint8Array} bytes - Audio in the input format
+   * @returns {Uint8Array} Audio in the output format; may be empty while the
+   *   filter is still collecting samples
+   */
+  convert(bytes) {
+    if (this.isPassThrough) {
+      return bytes;
+    }
+
+    return this.encode(this.resample(this.decode(bytes)));
+  }
+
+  /**
+   * Pushes the samples still held back by the filter through it. Call once
+   * the input has ended.
+   *
+   * @returns {Uint8Array} Remaining audio in the output format
+   */
+  flush() {
+    if (this.isPassThrough || !this.kernel) {
+      return new Uint8Array(0);
+    }
+
+    return this.encode(this.resample(new Float32Array(this.halfWidth)));
+  }
+
+  /**
+   * Decodes bytes into mono float samples, keeping an incomplete trailing
+   * sample frame for the next call
+   *
+   * @param {Uint8Array} bytes - Audio in the input format
+   * @returns {Float32Array} Mono samples
+   */
+  decode(bytes) {
+    let input = bytes;
+    if (this.remainder.length > 0) {
+      input = new Uint8Array(this.remainder.length + bytes.length);
+      input.set(this.remainder);
+      input.set(bytes, this.remainder.length);
+    }
+
+    const frameCount = Math.floor(input.length / this.blockAlign);
+    this.remainder = input.slice(frameCount * this.blockAlign);
+
+    const view = new DataView(input.buffer, input.byteOffset, input.byteLength);
+    const { channels } = this.inputFormat;
+    const samples = new Float32Array(frameCount);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const offset = frame * this.blockAlign;
+      let sum = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        sum += this.readSample(view, offset + channel * this.bytesPerSample);
+      }
+      samples[frame] = sum / channels;
+    }
+
+    return samples;
+  }
+
+  /**
+   * Resamples mono samples to the output rate
+   *
+   * @param {Float32Array} samples - Mono samples at the input rate
+   * @returns {Float32Array} Mono samples at the output rate
+   */
+  resample(samples) {
+    if (!this.kernel) {
+      return samples;
+    }
+
+    const buffer = new Float32Array(this.history.length + samples.length);
+    buffer.set(this.history);
+    buffer.set(samples, this.history.length);
+
+    const { halfWidth, step, kernel } = this;
+    const output = [];
+    let position = this.position;
+
+    // Each output needs halfWidth input samples on either side of the sample
+    // its phase is rounded to
+    let tap = getKernelTap(position);
+    while (tap.index + halfWidth < buffer.length) {
+      const { index, phase } = tap;
+      const taps = kernel[phase];
+      const first = index - halfWidth + 1;
+      let value = 0;
+      for (let i = 0; i < taps.length; i++) {
+        value += buffer[first + i] * taps[i];
+      }
+
+      output.push(value);
+      position += step;
+      tap = getKernelTap(position);
+    }
+
+    // Keep only the samples later outputs can still reach
+    const keepFrom = Math.max(0, tap.index - halfWidth + 1);
+    this.history = buffer.slice(keepFrom);
+    this.position = position - keepFrom;
+
+    return Float32Array.from(output);
+  }
+
+  /**
+   * Encodes float samples as little-endian linear16, clipping out-of-range values
+   *
+   * @param {Float32Array} samples - Mono samples
+   * @returns {Uint8Array} linear16 bytes
+   */
+  encode(samples) {
+    const bytes = new Uint8Array(samples.length * 2);
+    const view = new DataView(bytes.buffer);
+
+    for (let i = 0; i < samples.length; i++) {
+      const sample = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(i * 2, Math.round(sample < 0 ? sample * 32768 : sample * 32767), true);
+    }
+
+    return bytes;
+  }
+}
+
+export default AudioConverter;
@@ -0,0 +1,38 @@
+/**
+ * Raised when a WAV file cannot be parsed
+ */
+export class WavParseError extends Error {
+  /**
+   * Creates a new WavParseError
+   * 
+   * @param {string} message - What is wrong with the file
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'WavParseError';
+  }
+}
+
+/**
+ * Raised when audio does not match the format announced to the
+ * transcription provider
+ */
+export class AudioFormatMismatchError extends Error {
+  /**
+   * Creates a new AudioFormatMismatchError
+   * 
+   * @param {Object} expected - Announced format
+   * @param {Object} actual - Format found in the audio
+   * @param {Array<string>} fields - Names of the fields that differ
+   */
+  constructor(expected, actual, fields) {
+    const details = fields
+      .map(field => `${field} ${actual[field]} (expected ${expected[field]})`)
+      .join(', ');
+    super(`Audio format mismatch: ${details}`);
+    this.name = 'AudioFormatMismatchError';
+    this.expected = expected;
+    this.actual = actual;
+    this.fields = fields;
+  }
+}
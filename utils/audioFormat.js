@@ -0,0 +1,62 @@
+/**
+ * Format of the audio streamed to the transcription provider unless the
+ * capture stream says otherwise
+ */
+export const DEFAULT_STREAM_FORMAT = {
+  encoding: 'linear16',
+  sampleRate: 16000,
+  channels: 1,
+  bitsPerSample: 16,
+};
+
+/**
+ * Format requested from the platform recorder. Most phones capture at 48 kHz
+ * natively; whatever actually arrives is converted to the stream format.
+ */
+export const DEFAULT_CAPTURE_FORMAT = {
+  encoding: 'linear16',
+  sampleRate: 48000,
+  channels: 1,
+  bitsPerSample: 16,
+};
+
+// Content types for the audio files that can be imported, by extension
+const AUDIO_MIME_TYPES = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  mp4: 'audio/mp4',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  webm: 'audio/webm',
+};
+
+/**
+ * Content types offered by the import file picker
+ */
+export const IMPORT_AUDIO_TYPES = ['audio/wav', 'audio/x-wav', 'audio/mpeg', 'audio/mp4', 'audio/x-m4a', 'audio/*'];
+
+/**
+ * Guesses the content type of an audio file from its extension
+ * 
+ * @param {string} uri - File URI or name
+ * @returns {string} Content type, `audio/*` when the extension is unknown
+ */
+export const getAudioMimeType = (uri) => {
+  const extension = (uri.split('?')[0].split('.').pop() || '').toLowerCase();
+  return AUDIO_MIME_TYPES[extension] || 'audio/*';
+};
+
+/**
+ * Gets the byte rate of a PCM format
+ * 
+ * @param {Object} format - Audio format
+ * @param {number} format.sampleRate - Samples per second
+ * @param {number} format.channels - Number of channels
+ * @param {number} format.bitsPerSample - Bits per sample
+ * @returns {number} Bytes per second
+ */
+export const getBytesPerSecond = ({ sampleRate, channels, bitsPerSample }) => (
+  sampleRate * channels * (bitsPerSample / 8)
+);
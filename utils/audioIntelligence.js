@@ -0,0 +1,149 @@
+/**
+ * Sentiment labels Deepgram assigns
+ */
+export const SENTIMENTS = {
+  POSITIVE: 'positive',
+  NEUTRAL: 'neutral',
+  NEGATIVE: 'negative',
+};
+
+/**
+ * Text colour for each sentiment, used for the overall sentiment and the
+ * per-segment markers
+ */
+export const SENTIMENT_COLORS = {
+  [SENTIMENTS.POSITIVE]: '#28a745',
+  [SENTIMENTS.NEUTRAL]: '#6c757d',
+  [SENTIMENTS.NEGATIVE]: '#dc3545',
+};
+
+// Deepgram's score range (-1 to 1) is split into three equal bands
+const SENTIMENT_THRESHOLD = 1 / 3;
+
+// Most topic and intent chips kept per session
+const MAX_TOPICS = 8;
+const MAX_INTENTS = 5;
+
+/**
+ * Checks whether audio in a language can be analyzed. Deepgram offers
+ * summaries, topics, intents and sentiment for English only, and a session
+ * transcribed with `multi` may be in any language.
+ *
+ * @param {string} language - Language code the session was transcribed with
+ * @returns {boolean} Whether the language is English
+ */
+export const canAnalyzeLanguage = language => !!language && language.split('-')[0] === 'en';
+
+/**
+ * Gets the sentiment label for a score
+ *
+ * @param {number} score - Sentiment score from -1 to 1
+ * @returns {string} One of the SENTIMENTS values
+ */
+const toSentiment = (score) => {
+  if (score >= SENTIMENT_THRESHOLD) {
+    return SENTIMENTS.POSITIVE;
+  }
+  if (score <= -SENTIMENT_THRESHOLD) {
+    return SENTIMENTS.NEGATIVE;
+  }
+  return SENTIMENTS.NEUTRAL;
+};
+
+/**
+ * Collects the labels of topic or intent segments, keeping each label once
+ * with its highest confidence
+ *
+ * @param {Array<Object>} segments - Deepgram topic or intent segments
+ * @param {string} listKey - Key of the label list in a segment, e.g. `topics`
+ * @param {string} labelKey - Key of the label in a list item, e.g. `topic`
+ * @param {number} max - Most labels to keep
+ * @returns {Array<Object>} Labels as { label, confidence }, most confident first
+ */
+const collectLabels = (segments = [], listKey, labelKey, max) => {
+  const confidences = new Map();
+  segments.forEach(segment => {
+    (segment[listKey] || []).forEach(item => {
+      const label = item[labelKey];
+      const confidence = item.confidence_score || 0;
+      if (label && confidence > (confidences.get(label) ?? -1)) {
+        confidences.set(label, confidence);
+      }
+    });
+  });
+
+  return [...confidences.entries()]
+    .map(([label, confidence]) => ({ label, confidence }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, max);
+};
+
+/**
+ * Builds the analysis saved with a session from a pre-recorded response with
+ * summarize, topics, intents and sentiment enabled. Sentiment segments are
+ * stored by time rather than by word index, so they still line up with the
+ * transcript after it has been edited.
+ *
+ * @param {Object} response - Deepgram pre-recorded response
+ * @returns {Object} Analysis as { analyzedAt, summary, topics, intents, sentiment, sentiments }
+ */
+export const createAnalysis = (response) => {
+  const results = response?.results || {};
+  const words = results.channels?.[0]?.alternatives?.[0]?.words || [];
+
+  // Intelligence segments point at the words of the first channel
+  const getSpan = (segment) => {
+    const first = words[segment.start_word];
+    const last = words[segment.end_word] || first;
+    return {
+      start: first ? first.start : 0,
+      end: last ? last.end : 0,
+    };
+  };
+
+  const average = results.sentiments?.average;
+
+  return {
+    analyzedAt: new Date().toISOString(),
+    summary: results.summary?.short || null,
+    topics: collectLabels(results.topics?.segments, 'topics', 'topic', MAX_TOPICS),
+    intents: collectLabels(results.intents?.segments, 'intents', 'intent', MAX_INTENTS),
+    sentiment: average
+      ? { sentiment: average.sentiment, score: average.sentiment_score }
+      : null,
+    sentiments: (results.sentiments?.segments || []).map(segment => ({
+      ...getSpan(segment),
+      sentiment: segment.sentiment,
+      score: segment.sentiment_score,
+    })),
+  };
+};
+
+/**
+ * Gets the sentiment of a stretch of the session, weighting the scored
+ * segments by how much of it they cover
+ *
+ * @param {Array<Object>} sentiments - Scored segments as { start, end, score }
+ * @param {number} start - Start of the stretch in seconds
+ * @param {number} end - End of the stretch in seconds
+ * @returns {Object|null} { sentiment, score }, or null when nothing scored overlaps it
+ */
+export const getSentimentBetween = (sentiments = [], start, end) => {
+  let weightedScore = 0;
+  let totalOverlap = 0;
+
+  sentiments.forEach(segment => {
+    const overlap = Math.min(end, segment.end) - Math.max(start, segment.start);
+    if (overlap > 0) {
+      weightedScore += segment.score * overlap;
+      totalOverlap += overlap;
+    }
+  });
+
+  if (totalOverlap === 0) {
+    return null;
+  }
+
+  const score = weightedScore / totalOverlap;
+  return { sentiment: toSentiment(score), score };
+};
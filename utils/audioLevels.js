@@ -0,0 +1,78 @@
+// Quietest level the meter shows; anything below reads as empty
+export const METER_FLOOR_DB = -60;
+
+// Samples this close to full scale count as clipped
+const CLIP_LEVEL = 32767 * 0.99;
+// A frame is flagged once this many of its samples clip; a single full-scale
+// sample is more likely a click than an overloaded input
+const MIN_CLIPPED_SAMPLES = 3;
+
+/**
+ * Level readings with nothing measured yet
+ */
+export const SILENT_LEVELS = {
+  rmsDb: -Infinity,
+  peakDb: -Infinity,
+  isClipping: false,
+};
+
+/**
+ * Converts an amplitude relative to full scale to dBFS
+ *
+ * @param {number} value - Level relative to full scale (0-1)
+ * @returns {number} Level in dBFS
+ */
+const toDb = value => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+/**
+ * Measures the RMS and peak level of a linear16 frame and whether it clips
+ *
+ * @param {Uint8Array} frame - Mono little-endian 16-bit PCM
+ * @returns {Object} { rmsDb, peakDb, isClipping } with levels in dBFS
+ */
+export const measureLevels = (frame) => {
+  const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+  const sampleCount = Math.floor(frame.byteLength / 2);
+  let sumOfSquares = 0;
+  let peak = 0;
+  let clippedSamples = 0;
+
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = view.getInt16(i * 2, true);
+    const magnitude = Math.abs(sample);
+    sumOfSquares += sample * sample;
+    peak = Math.max(peak, magnitude);
+    if (magnitude >= CLIP_LEVEL) {
+      clippedSamples++;
+    }
+  }
+
+  const rms = sampleCount > 0 ? Math.sqrt(sumOfSquares / sampleCount) : 0;
+
+  return {
+    rmsDb: toDb(rms / 32768),
+    peakDb: toDb(peak / 32768),
+    isClipping: clippedSamples >= MIN_CLIPPED_SAMPLES,
+  };
+};
+
+/**
+ * Combines readings, keeping the loudest levels and any clipping
+ *
+ * @param {Object} a - First reading
+ * @param {Object} b - Second reading
+ * @returns {Object} Combined reading
+ */
+export const mergeLevels = (a, b) => ({
+  rmsDb: Math.max(a.rmsDb, b.rmsDb),
+  peakDb: Math.max(a.peakDb, b.peakDb),
+  isClipping: a.isClipping || b.isClipping,
+});
+
+/**
+ * Converts a level to the 0-1 scale the waveform draws
+ *
+ * @param {number} db - Level in dBFS
+ * @returns {number} Level from 0 at METER_FLOOR_DB to 1 at full scale
+ */
+export const toMeterLevel = db => (Math.max(METER_FLOOR_DB, Math.min(0, db)) - METER_FLOOR_DB) / -METER_FLOOR_DB;
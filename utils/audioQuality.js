@@ -0,0 +1,196 @@
+/**
+ * Input problems the quality monitor can report
+ */
+export const QUALITY_ISSUES = {
+  CLIPPING: 'clipping',
+  TOO_QUIET: 'tooQuiet',
+  NOISY: 'noisy',
+};
+
+// What the user can do about each issue
+export const QUALITY_ADVICE = {
+  [QUALITY_ISSUES.CLIPPING]: 'Input is distorting: move the mic away or speak more softly',
+  [QUALITY_ISSUES.TOO_QUIET]: 'Speech is very quiet: move closer to the mic',
+  [QUALITY_ISSUES.NOISY]: 'Noisy room: background noise is loud between words, find a quieter spot',
+};
+
+// Recent audio the live warnings are based on
+const WINDOW_SECONDS = 5;
+// No live warnings until this much audio has been heard
+const MIN_WINDOW_SECONDS = 3;
+// Warnings stay up at least this long so they don't flicker
+const HOLD_SECONDS = 2;
+
+// Speech louder than the noise floor by less than this is not told apart from it
+const MIN_SPEECH_MARGIN_DB = 6;
+// Typical speech level below which the input is too quiet
+const QUIET_SPEECH_DB = -40;
+// Noise floor above which the room is too noisy
+const NOISY_FLOOR_DB = -45;
+
+// The quietest frames approximate the noise between words, the loudest the speech
+const NOISE_PERCENTILE = 0.1;
+const SPEECH_PERCENTILE = 0.9;
+
+// Whole-session levels are kept as a histogram of 1 dB bins from here to 0 dBFS
+const HISTOGRAM_FLOOR_DB = -100;
+
+/**
+ * Gets a percentile of a list of values
+ *
+ * @param {Array<number>} values - Values to look at
+ * @param {number} fraction - Percentile as a fraction (0-1)
+ * @returns {number} The value at that percentile
+ */
+const percentile = (values, fraction) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(fraction * (sorted.length - 1))];
+};
+
+/**
+ * Watches the input levels of a recording for problems that hurt
+ * transcription: clipping, speech that is too quiet and a loud noise floor.
+ *
+ * Live warnings are based on the last few seconds of frames; the noise floor
+ * is taken from the quietest frames (the pauses between words) and the speech
+ * level from the loudest. The whole session is summarized from a level
+ * histogram, so memory stays bounded however long it runs.
+ */
+class AudioQualityMonitor {
+  /**
+   * Creates a new AudioQualityMonitor
+   *
+   * @param {Object} config - Configuration options
+   * @param {number} config.frameDurationMs - Duration of each frame
+   */
+  constructor({ frameDurationMs }) {
+    this.frameDurationMs = frameDurationMs;
+    this.windowFrames = Math.ceil(WINDOW_SECONDS * 1000 / frameDurationMs);
+    this.minWindowFrames = Math.ceil(MIN_WINDOW_SECONDS * 1000 / frameDurationMs);
+    this.holdFrames = Math.ceil(HOLD_SECONDS * 1000 / frameDurationMs);
+
+    // Recent frames as { rmsDb, isClipping }
+    this.window = [];
+    // Frame index until which each issue stays active
+    this.activeUntil = {};
+
+    this.frameCount = 0;
+    this.clippedFrames = 0;
+    this.histogram = new Array(-HISTOGRAM_FLOOR_DB + 1).fill(0);
+    this.issueFrames = Object.values(QUALITY_ISSUES)
+      .reduce((counts, issue) => ({ ...counts, [issue]: 0 }), {});
+  }
+
+  /**
+   * Checks which problems the recent frames show
+   *
+   * @returns {Array<string>} Issues from QUALITY_ISSUES
+   */
+  detectIssues() {
+    if (this.window.length < this.minWindowFrames) {
+      return [];
+    }
+
+    const levels = this.window.map(frame => frame.rmsDb);
+    const noiseFloorDb = percentile(levels, NOISE_PERCENTILE);
+    const speechLevelDb = percentile(levels, SPEECH_PERCENTILE);
+    const issues = [];
+
+    if (this.window.some(frame => frame.isClipping)) {
+      issues.push(QUALITY_ISSUES.CLIPPING);
+    }
+    if (speechLevelDb < QUIET_SPEECH_DB && speechLevelDb - noiseFloorDb >= MIN_SPEECH_MARGIN_DB) {
+      issues.push(QUALITY_ISSUES.TOO_QUIET);
+    }
+    if (noiseFloorDb > NOISY_FLOOR_DB) {
+      issues.push(QUALITY_ISSUES.NOISY);
+    }
+
+    return issues;
+  }
+
+  /**
+   * Adds the levels of the next frame
+   *
+   * @param {Object} levels - Frame levels as { rmsDb, peakDb, isClipping }
+   * @returns {Array<string>} Issues active after this frame
+   */
+  process({ rmsDb, isClipping }) {
+    this.window.push({ rmsDb, isClipping });
+    if (this.window.length > this.windowFrames) {
+      this.window.shift();
+    }
+
+    this.detectIssues().forEach(issue => {
+      this.activeUntil[issue] = this.frameCount + this.holdFrames;
+    });
+
+    const bin = Number.isFinite(rmsDb)
+      ? Math.min(-HISTOGRAM_FLOOR_DB, Math.max(0, Math.round(rmsDb) - HISTOGRAM_FLOOR_DB))
+      : 0;
+    this.histogram[bin]++;
+    if (isClipping) {
+      this.clippedFrames++;
+    }
+
+    const issues = this.getIssues();
+    issues.forEach(issue => {
+      this.issueFrames[issue]++;
+    });
+
+    this.frameCount++;
+    return issues;
+  }
+
+  /**
+   * Gets the issues currently active
+   *
+   * @returns {Array<string>} Issues from QUALITY_ISSUES
+   */
+  getIssues() {
+    return Object.values(QUALITY_ISSUES)
+      .filter(issue => this.frameCount < (this.activeUntil[issue] ?? -1));
+  }
+
+  /**
+   * Gets a level from the whole-session histogram
+   *
+   * @param {number} fraction - Percentile as a fraction (0-1)
+   * @returns {number|null} Level in dBFS, or null before any frame
+   */
+  getSessionPercentile(fraction) {
+    if (this.frameCount === 0) {
+      return null;
+    }
+
+    const target = Math.floor(fraction * (this.frameCount - 1));
+    let seen = 0;
+    for (let bin = 0; bin < this.histogram.length; bin++) {
+      seen += this.histogram[bin];
+      if (seen > target) {
+        return bin + HISTOGRAM_FLOOR_DB;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Summarizes the input quality of the whole session
+   *
+   * @returns {Object} { clippedPercent, speechLevelDb, noiseFloorDb, issueSeconds } where
+   *   issueSeconds holds how long each issue was being warned about
+   */
+  getSummary() {
+    const seconds = frames => frames * this.frameDurationMs / 1000;
+
+    return {
+      clippedPercent: this.frameCount > 0 ? Math.round(this.clippedFrames / this.frameCount * 1000) / 10 : 0,
+      speechLevelDb: this.getSessionPercentile(SPEECH_PERCENTILE),
+      noiseFloorDb: this.getSessionPercentile(NOISE_PERCENTILE),
+      issueSeconds: Object.keys(this.issueFrames)
+        .reduce((totals, issue) => ({ ...totals, [issue]: seconds(this.issueFrames[issue]) }), {}),
+    };
+  }
+}
+
+export default AudioQualityMonitor;
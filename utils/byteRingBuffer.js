@@ -0,0 +1,102 @@
+/**
+ * Fixed-capacity FIFO of bytes backed by a circular buffer.
+ *
+ * Capture sources deliver audio in whatever chunk sizes the platform picks;
+ * the ring buffer lets the stream hand out exact frame sizes without copying
+ * the backlog on every write.
+ */
+class ByteRingBuffer {
+  /**
+   * Creates a new ByteRingBuffer
+   * 
+   * @param {number} capacity - Maximum number of bytes held at once
+   */
+  constructor(capacity) {
+    this.buffer = new Uint8Array(capacity);
+    this.capacity = capacity;
+    this.readIndex = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Number of bytes that can be written without overwriting any
+   * 
+   * @returns {number} Free space in bytes
+   */
+  get free() {
+    return this.capacity - this.length;
+  }
+
+  /**
+   * Appends bytes. When there is not enough room the oldest bytes are
+   * overwritten.
+   * 
+   * @param {Uint8Array} bytes - Bytes to append
+   * @returns {number} Number of old bytes that were overwritten
+   */
+  write(bytes) {
+    let dropped = 0;
+    let data = bytes;
+    
+    // Only the newest `capacity` bytes can ever be kept
+    if (data.length > this.capacity) {
+      dropped += data.length - this.capacity;
+      data = data.subarray(data.length - this.capacity);
+    }
+    
+    const overflow = this.length + data.length - this.capacity;
+    if (overflow > 0) {
+      this.readIndex = (this.readIndex + overflow) % this.capacity;
+      this.length -= overflow;
+      dropped += overflow;
+    }
+    
+    const writeIndex = (this.readIndex + this.length) % this.capacity;
+    const firstPart = Math.min(data.length, this.capacity - writeIndex);
+    this.buffer.set(data.subarray(0, firstPart), writeIndex);
+    this.buffer.set(data.subarray(firstPart), 0);
+    this.length += data.length;
+    
+    return dropped;
+  }
+
+  /**
+   * Removes and returns the oldest bytes
+   * 
+   * @param {number} count - Number of bytes to read
+   * @returns {Uint8Array|null} The bytes, or null when fewer are available
+   */
+  read(count) {
+    if (count > this.length) {
+      return null;
+    }
+    
+    const out = new Uint8Array(count);
+    const firstPart = Math.min(count, this.capacity - this.readIndex);
+    out.set(this.buffer.subarray(this.readIndex, this.readIndex + firstPart), 0);
+    out.set(this.buffer.subarray(0, count - firstPart), firstPart);
+    
+    this.readIndex = (this.readIndex + count) % this.capacity;
+    this.length -= count;
+    return out;
+  }
+
+  /**
+   * Removes and returns everything buffered
+   * 
+   * @returns {Uint8Array} All buffered bytes
+   */
+  drain() {
+    return this.read(this.length);
+  }
+
+  /**
+   * Discards all buffered bytes
+   */
+  clear() {
+    this.readIndex = 0;
+    this.length = 0;
+  }
+}
+
+export default ByteRingBuffer;
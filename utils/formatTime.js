@@ -0,0 +1,27 @@
+/**
+ * Formats a duration as m:ss or h:mm:ss
+ * 
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+/**
+ * Formats an ISO date for display in lists and headers
+ * 
+ * @param {string} isoDate - ISO 8601 date string
+ * @returns {string} Localized date and time
+ */
+export const formatDateTime = (isoDate) => {
+  const date = new Date(isoDate);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
@@ -1,5 +1,9 @@
+import { redactText } from './redaction';
+
 /**
- * Creates a logger with timestamp functionality
+ * Creates a logger with timestamp functionality. Messages often quote
+ * transcripts, so personal data is redacted before they are stored or
+ * written to the console.
  * 
  * @param {Function} setLogs - State setter for logs array
  * @returns {Object} Logger object with log and clear methods
@@ -13,7 +17,7 @@ const createLogger = (setLogs) => {
    */
   const log = (message, consoleLog = true) => {
     const timestamp = new Date().toISOString().split('T')[1].slice(0, 12);
-    const formattedMessage = `[${timestamp}] ${message}`;
+    const formattedMessage = `[${timestamp}] ${redactText(String(message))}`;
     
     setLogs(prev => [...prev, formattedMessage]);
     
@@ -0,0 +1,320 @@
+/**
+ * Local redaction of personal data in transcripts and log messages.
+ *
+ * Deepgram can redact on the server (see DEEPGRAM_REDACT), but the app also
+ * runs its own pass: over log messages, and over every session before it is
+ * saved, whatever the Redact PII setting, which covers providers without
+ * server-side redaction and text typed in by hand.
+ */
+
+/**
+ * Values sent as Deepgram's `redact` query parameter: payment card numbers,
+ * social security numbers and other personally identifiable information
+ */
+export const DEEPGRAM_REDACT = ['pci', 'ssn', 'pii'];
+
+/**
+ * Checks a card number with the Luhn checksum, so ordinary long numbers are
+ * not taken for cards
+ *
+ * @param {string} digits - Digits only
+ * @returns {boolean} Whether the checksum is valid
+ */
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Makes a pattern only match a number standing on its own: not part of a
+ * word, a version string such as 4.111.111.1111 or a file name such as
+ * session-1700000000000.wav
+ *
+ * @param {RegExp} pattern - Pattern for the number itself
+ * @returns {RegExp} Global pattern
+ */
+const standaloneNumber = pattern => new RegExp(`(?<![\\w.+-])(?:${pattern.source})(?!\\w|[.-]\\w)`, 'g');
+
+// Runs of digit groups, e.g. "12 4111 1111 1111 1111"
+const DIGIT_RUN = /\d(?:[ -]?\d)*/g;
+const CARD_DIGITS = { min: 13, max: 19 };
+// Group lengths of printed and read-out cards, in order of preference: most
+// cards have 16 digits, American Express 15 and Diners Club 14
+const CARD_GROUPINGS = [
+  [4, 4, 4, 4],
+  [4, 6, 5],
+  [4, 6, 4],
+  [4, 4, 4, 4, 3],
+];
+
+/**
+ * Finds card numbers. Only card-shaped digits count: one unbroken run of 13
+ * to 19 digits, or groups in one of the CARD_GROUPINGS joined by the same
+ * space or dash, and the digits must pass the Luhn check. Other numbers may
+ * stand next to the card ("card 12 4111 1111 1111 1111"), so a grouping can
+ * start at any group of the run, but short groups are never joined into a
+ * card, which keeps lists such as "100 200 300 400" intact.
+ *
+ * @param {string} text - Text to scan
+ * @returns {Array<Object>} Matches as { start, end }
+ */
+const findCardNumbers = (text) => {
+  const found = [];
+  for (const run of text.matchAll(DIGIT_RUN)) {
+    const runStart = run.index;
+    const runEnd = runStart + run[0].length;
+
+    // The run must stand on its own, like the other numbers
+    const isStandalone = !/[\w.+-]/.test(text[runStart - 1] || '') &&
+      !/^(?:\w|[.-]\w)/.test(text.slice(runEnd, runEnd + 2));
+    if (!isStandalone) {
+      continue;
+    }
+
+    // Groups of the run as { start, end, digits } with the separator before each
+    const groups = [...run[0].matchAll(/\d+/g)].map(group => ({
+      start: runStart + group.index,
+      end: runStart + group.index + group[0].length,
+      digits: group[0],
+      separator: group.index > 0 ? run[0][group.index - 1] : null,
+    }));
+
+    let i = 0;
+    while (i < groups.length) {
+      const group = groups[i];
+      let length = 0;
+
+      if (group.digits.length >= CARD_DIGITS.min && group.digits.length <= CARD_DIGITS.max) {
+        length = passesLuhn(group.digits) ? 1 : 0;
+      } else {
+        const grouping = CARD_GROUPINGS.find(lengths => {
+          const span = groups.slice(i, i + lengths.length);
+          return span.length === lengths.length &&
+            span.every((part, index) => part.digits.length === lengths[index]) &&
+            span.slice(2).every(part => part.separator === span[1].separator) &&
+            passesLuhn(span.map(part => part.digits).join(''));
+        });
+        length = grouping ? grouping.length : 0;
+      }
+
+      if (length > 0) {
+        found.push({ start: group.start, end: groups[i + length - 1].end });
+        i += length;
+      } else {
+        i++;
+      }
+    }
+  }
+  return found;
+};
+
+// International numbers (E.164) have 8 to 15 digits with the country code
+const PHONE_DIGITS = { min: 8, max: 15 };
+
+const PHONE_PATTERN = standaloneNumber(/\+\d{1,3}(?:[ .-]?(?:\(\d{1,4}\)|\d{1,4})){2,6}(?![ .-]?\(?\d)|\(\d{3}\) ?\d{3}[ .-]\d{4}|\d{3}([ .-])\d{3}\1\d{4}/);
+
+/**
+ * Finds phone numbers. After a + the groups can have any length, as they do
+ * outside North America ("+44 20 7946 0958"), so such a number only counts
+ * when it is not followed by another group and its digits fit an
+ * international number.
+ *
+ * @param {string} text - Text to scan
+ * @returns {Array<Object>} Matches as { start, end }
+ */
+const findPhoneNumbers = (text) => [...text.matchAll(PHONE_PATTERN)]
+  .filter(([number]) => {
+    const digits = number.replace(/\D/g, '').length;
+    return !number.startsWith('+') || (digits >= PHONE_DIGITS.min && digits <= PHONE_DIGITS.max);
+  })
+  .map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+// Patterns in the order they are applied; cards go first so a card number is
+// not half-matched as a phone number. Phone numbers need their usual
+// punctuation (a leading country code or (, or the same separator between the groups),
+// as bare ten-digit runs in log messages are far more often timestamps or
+// sizes. Unformatted nine- and ten-digit numbers such as 5551234567 or
+// 123456789 are therefore not caught as phone numbers or SSNs. An entry has
+// either a pattern or its own find function.
+const PATTERNS = [
+  {
+    label: '[CARD]',
+    find: findCardNumbers,
+  },
+  {
+    label: '[SSN]',
+    pattern: standaloneNumber(/\d{3}([- ])\d{2}\1\d{4}/),
+  },
+  {
+    label: '[PHONE]',
+    find: findPhoneNumbers,
+  },
+  {
+    label: '[EMAIL]',
+    pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g,
+  },
+];
+
+/**
+ * Finds the personal data in a text
+ *
+ * @param {string} text - Text to scan
+ * @returns {Array<Object>} Non-overlapping matches as { start, end, label }, in order
+ */
+const findMatches = (text) => {
+  const matches = [];
+  PATTERNS.forEach(({ label, pattern, find }) => {
+    const found = find
+      ? find(text)
+      : [...text.matchAll(pattern)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+    found.forEach(({ start, end }) => {
+      const overlaps = matches.some(other => start < other.end && other.start < end);
+      if (!overlaps) {
+        matches.push({ start, end, label });
+      }
+    });
+  });
+  return matches.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Replaces card numbers, social security numbers, phone numbers and email
+ * addresses with placeholders such as [CARD]
+ *
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text
+ */
+export const redactText = (text) => {
+  if (!text) {
+    return text;
+  }
+
+  let result = '';
+  let last = 0;
+  findMatches(text).forEach(({ start, end, label }) => {
+    result += text.slice(last, start) + label;
+    last = end;
+  });
+  return result + text.slice(last);
+};
+
+/**
+ * Redacts the words of a segment. Numbers are often split over several words,
+ * so matches are found in the joined text; the words a match covers become
+ * one placeholder word spanning their time.
+ *
+ * @param {Array<Object>} words - Transcript words
+ * @returns {Array<Object>} Redacted words
+ */
+const redactWords = (words) => {
+  // Character offset of each word in the joined text
+  const offsets = [];
+  let text = '';
+  words.forEach((word, index) => {
+    if (index > 0) {
+      text += ' ';
+    }
+    offsets.push(text.length);
+    text += word.punctuatedWord;
+  });
+
+  const matches = findMatches(text);
+  if (matches.length === 0) {
+    return words;
+  }
+
+  const redacted = [];
+  let matchIndex = 0;
+  words.forEach((word, index) => {
+    const start = offsets[index];
+    const end = start + word.punctuatedWord.length;
+    while (matchIndex < matches.length && matches[matchIndex].end <= start) {
+      matchIndex++;
+    }
+
+    const match = matches[matchIndex];
+    if (!match || match.start >= end) {
+      redacted.push(word);
+      return;
+    }
+
+    // Text of the word outside the match, e.g. a trailing full stop, is kept
+    const prefix = word.punctuatedWord.slice(0, Math.max(0, match.start - start));
+    const suffix = word.punctuatedWord.slice(Math.max(0, match.end - start));
+    const previous = redacted[redacted.length - 1];
+
+    if (previous && previous.redactedMatch === match) {
+      previous.end = word.end;
+      previous.punctuatedWord += suffix;
+    } else {
+      const { speakerConfidence, ...rest } = word;
+      redacted.push({
+        ...rest,
+        word: match.label,
+        punctuatedWord: prefix + match.label + suffix,
+        redactedMatch: match,
+      });
+    }
+  });
+
+  return redacted.map(({ redactedMatch, ...word }) => word);
+};
+
+/**
+ * Redacts a transcript segment: its text, alternatives and words
+ *
+ * @param {Object|null} segment - Segment to redact
+ * @returns {Object|null} Redacted segment
+ */
+export const redactSegment = (segment) => segment && ({
+  ...segment,
+  transcript: redactText(segment.transcript),
+  words: redactWords(segment.words),
+  alternatives: (segment.alternatives || []).map(alternative => ({
+    ...alternative,
+    transcript: redactText(alternative.transcript),
+  })),
+});
+
+/**
+ * Redacts every segment of a transcript, including the pending interim result
+ *
+ * @param {Object} transcript - Transcript to redact
+ * @returns {Object} Redacted transcript
+ */
+export const redactTranscript = (transcript) => ({
+  ...transcript,
+  segments: transcript.segments.map(redactSegment),
+  pending: redactSegment(transcript.pending),
+});
+
+/**
+ * Redacts the text a session stores: its transcript, bookmark notes and the
+ * analysis summary. The machine output kept alongside an edited transcript is
+ * left alone: it is copied from a transcript that was already redacted when
+ * it was saved, and is what Revert restores.
+ *
+ * @param {Object} session - Session to redact
+ * @returns {Object} Redacted session
+ */
+export const redactSession = (session) => ({
+  ...session,
+  ...(session.transcript && { transcript: redactTranscript(session.transcript) }),
+  ...(session.bookmarks && {
+    bookmarks: session.bookmarks.map(bookmark => ({ ...bookmark, note: redactText(bookmark.note) })),
+  }),
+  ...(session.analysis && {
+    analysis: { ...session.analysis, summary: redactText(session.analysis.summary) },
+  }),
+});
@@ -0,0 +1,337 @@
+// Combining marks left over once accented letters are decomposed
+const DIACRITICS = /[\u0300-\u036f]/g;
+// Anything that is not a letter or digit separates tokens
+const TOKEN_SEPARATOR = /[^\p{L}\p{N}]+/u;
+// Quoted phrases in a query
+const PHRASE_PATTERN = /"([^"]*)"/g;
+
+// Unquoted terms must all occur within this many tokens of each other
+const PROXIMITY_TOKENS = 20;
+// Words shown either side of a match in its snippet
+const SNIPPET_WORDS = 6;
+// Most results returned for one query
+const MAX_RESULTS = 50;
+
+/**
+ * Normalizes text for matching: accents removed and lower-cased
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export const normalizeText = text => text.normalize('NFD').replace(DIACRITICS, '').toLowerCase();
+
+/**
+ * Splits text into normalized tokens
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Tokens
+ */
+export const tokenize = text => normalizeText(text).split(TOKEN_SEPARATOR).filter(Boolean);
+
+/**
+ * Parses a search query. Quoted parts are phrases whose words must appear in
+ * order; every other word is a term that must appear close by.
+ *
+ * @param {string} query - Query as typed
+ * @returns {Array<Array<string>>} Clauses, each a list of tokens to match in sequence
+ */
+export const parseQuery = (query) => {
+  const phrases = [];
+  const rest = query.replace(PHRASE_PATTERN, (match, phrase) => {
+    phrases.push(tokenize(phrase));
+    return ' ';
+  });
+
+  return [
+    ...phrases,
+    ...tokenize(rest).map(token => [token]),
+  ].filter(clause => clause.length > 0);
+};
+
+/**
+ * Gets the distinct tokens of a segment
+ *
+ * @param {Object} segment - Transcript segment
+ * @returns {Set<string>} Tokens
+ */
+const getSegmentTokens = (segment) => {
+  const text = segment.words.length > 0
+    ? segment.words.map(word => word.punctuatedWord).join(' ')
+    : segment.transcript;
+  return new Set(tokenize(text));
+};
+
+/**
+ * Full-text index over session transcripts.
+ *
+ * Each session keeps its final segments; they are flattened into a token list
+ * (with the word and time each token came from) when the session is next
+ * searched. An inverted map from token to session ids narrows a query down
+ * to the sessions containing every token before their token lists are scanned
+ * for phrases. Segments can be added one at a time while a session is being
+ * recorded, so results include it as soon as its words are final. Each entry
+ * counts the segments every token occurs in, so a token leaves the inverted
+ * map once no segment of the session contains it any more.
+ */
+class SearchIndex {
+  /**
+   * Creates an empty SearchIndex
+   */
+  constructor() {
+    // Session id to { id, title, startedAt, segments: Map, tokenCounts: Map, words, tokens }
+    this.sessions = new Map();
+    // Token to the ids of the sessions containing it
+    this.postings = new Map();
+  }
+
+  /**
+   * Indexes a whole saved session, replacing anything indexed for it before
+   *
+   * @param {Object} session - Session record with its transcript
+   */
+  indexSession(session) {
+    this.removeSession(session.id);
+    (session.transcript?.segments || []).forEach(segment => {
+      this.addSegment(session, segment);
+    });
+
+    // Sessions without text can still be told apart from ones never indexed
+    this.getEntry(session);
+  }
+
+  /**
+   * Adds or replaces one final segment of a session
+   *
+   * @param {Object} session - Session as { id, title, startedAt }
+   * @param {Object} segment - Final transcript segment
+   */
+  addSegment(session, segment) {
+    if (!segment || !segment.isFinal) {
+      return;
+    }
+
+    const entry = this.getEntry(session);
+    const previous = entry.segments.get(segment.id);
+    if (previous) {
+      getSegmentTokens(previous).forEach(token => this.releaseToken(entry, token));
+    }
+    entry.segments.set(segment.id, segment);
+    entry.tokens = null;
+
+    getSegmentTokens(segment).forEach(token => {
+      entry.tokenCounts.set(token, (entry.tokenCounts.get(token) || 0) + 1);
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Set());
+      }
+      this.postings.get(token).add(session.id);
+    });
+  }
+
+  /**
+   * Drops one segment's use of a token, removing the session from the
+   * token's postings when no other segment contains it
+   *
+   * @param {Object} entry - Index entry
+   * @param {string} token - Token the segment contained
+   */
+  releaseToken(entry, token) {
+    const count = (entry.tokenCounts.get(token) || 0) - 1;
+    if (count > 0) {
+      entry.tokenCounts.set(token, count);
+      return;
+    }
+
+    entry.tokenCounts.delete(token);
+    this.removePosting(token, entry.id);
+  }
+
+  /**
+   * Removes a session from a token's postings
+   *
+   * @param {string} token - Token
+   * @param {string} id - Session identifier
+   */
+  removePosting(token, id) {
+    const ids = this.postings.get(token);
+    if (ids) {
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.postings.delete(token);
+      }
+    }
+  }
+
+  /**
+   * Removes a session from the index
+   *
+   * @param {string} id - Session identifier
+   */
+  removeSession(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) {
+      return;
+    }
+
+    entry.tokenCounts.forEach((count, token) => this.removePosting(token, id));
+    this.sessions.delete(id);
+  }
+
+  /**
+   * Gets the index entry of a session, creating it when needed
+   *
+   * @param {Object} session - Session as { id, title, startedAt }
+   * @returns {Object} Index entry
+   */
+  getEntry(session) {
+    let entry = this.sessions.get(session.id);
+    if (!entry) {
+      entry = { id: session.id, segments: new Map(), tokenCounts: new Map(), words: [], tokens: [] };
+      this.sessions.set(session.id, entry);
+    }
+    entry.title = session.title;
+    entry.startedAt = session.startedAt;
+    return entry;
+  }
+
+  /**
+   * Gets a session's tokens in time order, rebuilding them after changes
+   *
+   * @param {Object} entry - Index entry
+   * @returns {Array<Object>} Tokens as { token, word } where word indexes entry.words
+   */
+  getTokens(entry) {
+    if (entry.tokens) {
+      return entry.tokens;
+    }
+
+    const words = [];
+    const tokens = [];
+    [...entry.segments.values()]
+      .sort((a, b) => a.start - b.start)
+      .forEach(segment => {
+        // Segments without word timings count as one word at their start
+        const segmentWords = segment.words.length > 0
+          ? segment.words.map(word => ({ text: word.punctuatedWord, start: word.start }))
+          : [{ text: segment.transcript.trim(), start: segment.start }];
+
+        segmentWords.forEach(word => {
+          tokenize(word.text).forEach(token => {
+            tokens.push({ token, word: words.length });
+          });
+          words.push(word);
+        });
+      });
+
+    entry.words = words;
+    entry.tokens = tokens;
+    return tokens;
+  }
+
+  /**
+   * Finds every position where a clause starts in a token list
+   *
+   * @param {Array<Object>} tokens - Session tokens
+   * @param {Array<string>} clause - Tokens to match in sequence
+   * @returns {Array<number>} Token positions
+   */
+  findClause(tokens, clause) {
+    const positions = [];
+    for (let i = 0; i + clause.length <= tokens.length; i++) {
+      if (clause.every((token, offset) => tokens[i + offset].token === token)) {
+        positions.push(i);
+      }
+    }
+    return positions;
+  }
+
+  /**
+   * Builds the snippet shown for a match
+   *
+   * @param {Object} entry - Index entry
+   * @param {number} firstWord - Index of the first matched word
+   * @param {number} lastWord - Index of the last matched word
+   * @returns {Object} { before, match, after } text
+   */
+  getSnippet(entry, firstWord, lastWord) {
+    const { words } = entry;
+    const from = Math.max(0, firstWord - SNIPPET_WORDS);
+    const to = Math.min(words.length, lastWord + 1 + SNIPPET_WORDS);
+    const join = list => list.map(word => word.text).join(' ');
+
+    return {
+      before: `${from > 0 ? '… ' : ''}${join(words.slice(from, firstWord))}`,
+      match: join(words.slice(firstWord, lastWord + 1)),
+      after: `${join(words.slice(lastWord + 1, to))}${to < words.length ? ' …' : ''}`,
+    };
+  }
+
+  /**
+   * Searches all indexed sessions
+   *
+   * @param {string} query - Words and "quoted phrases"; matching ignores case and accents
+   * @returns {Array<Object>} Results as { sessionId, title, time, snippet }, newest session
+   *   first and in time order within a session
+   */
+  search(query) {
+    const clauses = parseQuery(query);
+    if (clauses.length === 0) {
+      return [];
+    }
+
+    // Only sessions containing every token can match
+    let candidates = null;
+    clauses.flat().forEach(token => {
+      const ids = this.postings.get(token) || new Set();
+      candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+    });
+
+    const results = [];
+    [...candidates]
+      .map(id => this.sessions.get(id))
+      .filter(Boolean)
+      .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''))
+      .forEach(entry => {
+        const tokens = this.getTokens(entry);
+        const [anchor, ...others] = clauses;
+        const otherPositions = others.map(clause => this.findClause(tokens, clause));
+        let lastEnd = -1;
+
+        this.findClause(tokens, anchor).forEach(position => {
+          // Don't report the same stretch of text twice
+          if (position <= lastEnd) {
+            return;
+          }
+
+          let first = position;
+          let last = position + anchor.length - 1;
+          const isNear = otherPositions.every((positions, index) => {
+            const near = positions.reduce((closest, other) => (
+              closest === null || Math.abs(other - position) < Math.abs(closest - position) ? other : closest
+            ), null);
+            if (near === null || Math.abs(near - position) > PROXIMITY_TOKENS) {
+              return false;
+            }
+            first = Math.min(first, near);
+            last = Math.max(last, near + others[index].length - 1);
+            return true;
+          });
+          if (!isNear || first <= lastEnd) {
+            return;
+          }
+
+          lastEnd = last;
+          const firstWord = tokens[first].word;
+          results.push({
+            sessionId: entry.id,
+            title: entry.title,
+            time: entry.words[firstWord].start,
+            snippet: this.getSnippet(entry, firstWord, tokens[last].word),
+          });
+        });
+      });
+
+    return results.slice(0, MAX_RESULTS);
+  }
+}
+
+export default SearchIndex;
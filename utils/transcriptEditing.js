@@ -0,0 +1,306 @@
+/**
+ * Edits to a committed transcript that keep it aligned with the audio.
+ *
+ * Corrections are matched word by word against the machine output: words the
+ * user kept keep their own timings, and changed or inserted words take the
+ * time span of the words they replaced. Segments can be split at a word or
+ * merged with the next segment, and their words reassigned to another
+ * speaker. Like the transcript model, every function is pure and returns a
+ * new transcript.
+ */
+
+/**
+ * Normalizes a word for matching against the machine output, the way
+ * Deepgram's unpunctuated `word` field looks
+ *
+ * @param {string} text - Word as typed or transcribed
+ * @returns {string} Lower-cased word without surrounding punctuation
+ */
+const normalizeWord = text => text.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+/**
+ * Splits typed text into words
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words with their punctuation
+ */
+const splitWords = text => text.trim().split(/\s+/).filter(Boolean);
+
+/**
+ * Pairs each typed word with the machine word it is unchanged from, using
+ * the longest common subsequence of the normalized words
+ *
+ * @param {Array<Object>} words - Machine words
+ * @param {Array<string>} tokens - Typed words
+ * @returns {Array<Array<number>>} Matched [word index, token index] pairs in order
+ */
+const matchWords = (words, tokens) => {
+  const a = words.map(word => normalizeWord(word.punctuatedWord));
+  const b = tokens.map(normalizeWord);
+
+  // lengths[i][j] is the LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+/**
+ * Creates the words typed in place of a run of machine words, sharing out the
+ * time the replaced words took. Words inserted where nothing was said get no
+ * duration at the point they were inserted.
+ *
+ * @param {Array<string>} tokens - Typed words
+ * @param {Array<Object>} replaced - Machine words they replace, possibly none
+ * @param {Object|null} previous - Machine word before the run
+ * @param {Object|null} next - Machine word after the run
+ * @param {number} fallbackTime - Time to use when there are no neighbouring words
+ * @returns {Array<Object>} Words with timings
+ */
+const createTypedWords = (tokens, replaced, previous, next, fallbackTime) => {
+  let start;
+  let end;
+  if (replaced.length > 0) {
+    start = replaced[0].start;
+    end = replaced[replaced.length - 1].end;
+  } else {
+    start = previous ? previous.end : (next ? next.start : fallbackTime);
+    end = start;
+  }
+
+  const neighbour = replaced[0] || previous || next;
+  const step = (end - start) / tokens.length;
+
+  return tokens.map((token, index) => ({
+    word: normalizeWord(token),
+    punctuatedWord: token,
+    start: start + index * step,
+    end: start + (index + 1) * step,
+    ...(neighbour && typeof neighbour.speaker === 'number' && { speaker: neighbour.speaker }),
+    edited: true,
+  }));
+};
+
+/**
+ * Replaces a segment in the transcript
+ *
+ * @param {Object} transcript - Current transcript
+ * @param {string} segmentId - Identifier of the segment to replace
+ * @param {Function} update - Function from the segment to its replacement segments
+ * @returns {Object} Updated transcript, or the same transcript when the segment is unchanged
+ */
+const replaceSegment = (transcript, segmentId, update) => {
+  let isChanged = false;
+  const segments = transcript.segments.flatMap(segment => {
+    if (segment.id !== segmentId) {
+      return [segment];
+    }
+    const replacement = update(segment);
+    isChanged = replacement.length !== 1 || replacement[0] !== segment;
+    return replacement;
+  });
+
+  return isChanged ? { ...transcript, segments } : transcript;
+};
+
+/**
+ * Corrects the text of a segment. Unchanged words keep their timings,
+ * confidence and speaker; changed and inserted words are marked `edited`.
+ *
+ * @param {Object} transcript - Current transcript
+ * @param {string} segmentId - Identifier of the segment to correct
+ * @param {string} text - Corrected text
+ * @returns {Object} Updated transcript
+ */
+export const correctSegmentText = (transcript, segmentId, text) => replaceSegment(
+  transcript,
+  segmentId,
+  (segment) => {
+    const tokens = splitWords(text);
+    if (tokens.join(' ') === segment.transcript.trim()) {
+      return [segment];
+    }
+
+    // Without word timings there is nothing to keep aligned
+    if (segment.words.length === 0) {
+      return [{ ...segment, transcript: tokens.join(' '), edited: true }];
+    }
+
+    const { words } = segment;
+    const corrected = [];
+    let wordIndex = 0;
+    let tokenIndex = 0;
+
+    // Each matched pair closes a run of replaced words; a final sentinel closes the last run
+    [...matchWords(words, tokens), [words.length, tokens.length]].forEach(([matchedWord, matchedToken]) => {
+      const typed = tokens.slice(tokenIndex, matchedToken);
+      if (typed.length > 0) {
+        corrected.push(...createTypedWords(
+          typed,
+          words.slice(wordIndex, matchedWord),
+          words[wordIndex - 1] || null,
+          words[matchedWord] || null,
+          segment.start
+        ));
+      }
+
+      if (matchedWord < words.length) {
+        corrected.push({ ...words[matchedWord], punctuatedWord: tokens[matchedToken] });
+      }
+      wordIndex = matchedWord + 1;
+      tokenIndex = matchedToken + 1;
+    });
+
+    return [{
+      ...segment,
+      transcript: tokens.join(' '),
+      words: corrected,
+      edited: true,
+    }];
+  }
+);
+
+/**
+ * Splits a segment in two before one of its words
+ *
+ * @param {Object} transcript - Current transcript
+ * @param {string} segmentId - Identifier of the segment to split
+ * @param {number} wordIndex - Index of the first word of the second part
+ * @returns {Object} Updated transcript; unchanged when the index is not inside the segment
+ */
+export const splitSegment = (transcript, segmentId, wordIndex) => {
+  const ids = new Set(transcript.segments.map(segment => segment.id));
+
+  return replaceSegment(transcript, segmentId, (segment) => {
+    const { words } = segment;
+    if (wordIndex <= 0 || wordIndex >= words.length) {
+      return [segment];
+    }
+
+    const first = words.slice(0, wordIndex);
+    const second = words.slice(wordIndex);
+    const textOf = list => list.map(word => word.punctuatedWord).join(' ');
+
+    // Ids follow the channel-start pattern of streamed segments
+    let id = `${segment.channel}-${second[0].start.toFixed(3)}`;
+    while (ids.has(id)) {
+      id = `${id}-split`;
+    }
+
+    return [
+      {
+        ...segment,
+        end: first[first.length - 1].end,
+        speechFinal: false,
+        transcript: textOf(first),
+        words: first,
+        edited: true,
+      },
+      {
+        ...segment,
+        id,
+        start: second[0].start,
+        transcript: textOf(second),
+        words: second,
+        edited: true,
+      },
+    ];
+  });
+};
+
+/**
+ * Merges a segment with the next segment on the same channel
+ *
+ * @param {Object} transcript - Current transcript
+ * @param {string} segmentId - Identifier of the first segment
+ * @returns {Object} Updated transcript; unchanged when there is no next segment
+ */
+export const mergeWithNextSegment = (transcript, segmentId) => {
+  const index = transcript.segments.findIndex(segment => segment.id === segmentId);
+  if (index < 0) {
+    return transcript;
+  }
+
+  const first = transcript.segments[index];
+  const next = transcript.segments.find((segment, i) => i > index && segment.channel === first.channel);
+  if (!next) {
+    return transcript;
+  }
+
+  const merged = {
+    ...first,
+    end: Math.max(first.end, next.end),
+    speechFinal: next.speechFinal,
+    transcript: [first.transcript.trim(), next.transcript.trim()].filter(Boolean).join(' '),
+    words: [...first.words, ...next.words],
+    edited: true,
+  };
+
+  return {
+    ...transcript,
+    segments: transcript.segments
+      .filter(segment => segment !== next)
+      .map(segment => (segment === first ? merged : segment)),
+  };
+};
+
+/**
+ * Assigns every word of a segment to a speaker
+ *
+ * @param {Object} transcript - Current transcript
+ * @param {string} segmentId - Identifier of the segment
+ * @param {number} speaker - Speaker index
+ * @returns {Object} Updated transcript
+ */
+export const setSegmentSpeaker = (transcript, segmentId, speaker) => replaceSegment(
+  transcript,
+  segmentId,
+  (segment) => [{
+    ...segment,
+    words: segment.words.map(({ speakerConfidence, ...word }) => ({ ...word, speaker })),
+    edited: true,
+  }]
+);
+
+/**
+ * Gets the index of the first word after a cursor position in a segment's
+ * text; a cursor inside a word counts as after it
+ *
+ * @param {string} text - Segment text
+ * @param {number} position - Cursor position in the text
+ * @returns {number} Number of words starting before the cursor
+ */
+export const getWordIndexAt = (text, position) => splitWords(text.slice(0, position)).length;
+
+/**
+ * Gets the speakers used in a transcript
+ *
+ * @param {Object} transcript - Transcript to inspect
+ * @returns {Array<number>} Speaker indexes in ascending order
+ */
+export const getSpeakers = (transcript) => [...new Set(
+  transcript.segments
+    .flatMap(segment => segment.words)
+    .map(word => word.speaker)
+    .filter(speaker => typeof speaker === 'number')
+)].sort((a, b) => a - b);
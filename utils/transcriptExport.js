@@ -0,0 +1,234 @@
+import { getSpeakerLabel, getSpeakerTurns, getSegmentsText } from './transcriptModel';
+import { formatDuration, formatDateTime } from './formatTime';
+
+/**
+ * Formats supported by the exporter
+ */
+export const EXPORT_FORMATS = [
+  { value: 'srt', label: 'SRT', extension: 'srt' },
+  { value: 'vtt', label: 'WebVTT', extension: 'vtt' },
+  { value: 'txt', label: 'Text', extension: 'txt' },
+  { value: 'json', label: 'JSON', extension: 'json' },
+  { value: 'md', label: 'Markdown', extension: 'md' },
+];
+
+// Caption cue limits, following common subtitle guidelines
+const MAX_CUE_DURATION = 6;
+const MAX_CUE_CHARS = 84;
+const MAX_WORD_GAP = 1.5;
+
+/**
+ * Formats seconds as a caption timestamp
+ * 
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Separator before milliseconds (`,` for SRT, `.` for WebVTT)
+ * @returns {string} Timestamp as HH:MM:SS,mmm
+ */
+const formatCueTime = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+/**
+ * Splits a transcript into caption cues using word timings. A cue ends at a
+ * speaker change, after sentence-ending punctuation, at a long pause, or when
+ * it would get too long to read.
+ * 
+ * @param {Object} transcript - Transcript model
+ * @returns {Array<Object>} Cues as { start, end, text, speaker }
+ */
+export const buildCues = (transcript) => {
+  const cues = [];
+  let current = null;
+  
+  const closeCue = () => {
+    if (current) {
+      cues.push({ ...current, text: current.words.join(' ') });
+      current = null;
+    }
+  };
+  
+  transcript.segments.forEach(segment => {
+    // Segments without word timings become a single cue
+    if (segment.words.length === 0) {
+      closeCue();
+      if (segment.transcript.trim()) {
+        cues.push({ start: segment.start, end: segment.end, text: segment.transcript.trim() });
+      }
+      return;
+    }
+    
+    segment.words.forEach(word => {
+      const text = word.punctuatedWord;
+      
+      if (current) {
+        const length = current.words.join(' ').length + 1 + text.length;
+        const splitNeeded = word.speaker !== current.speaker
+          || word.end - current.start > MAX_CUE_DURATION
+          || length > MAX_CUE_CHARS
+          || word.start - current.end > MAX_WORD_GAP;
+        
+        if (splitNeeded) {
+          closeCue();
+        }
+      }
+      
+      if (!current) {
+        current = { start: word.start, end: word.end, words: [], speaker: word.speaker };
+      }
+      
+      current.words.push(text);
+      current.end = word.end;
+      
+      if (/[.?!]$/.test(text)) {
+        closeCue();
+      }
+    });
+  });
+  
+  closeCue();
+  return cues.map(({ words, ...cue }) => cue);
+};
+
+/**
+ * Gets the label for a cue speaker, if the cue has one
+ * 
+ * @param {Object} transcript - Transcript model
+ * @param {Object} cue - Caption cue
+ * @returns {string|null} Speaker label
+ */
+const getCueSpeaker = (transcript, cue) => (
+  typeof cue.speaker === 'number' ? getSpeakerLabel(transcript.speakerNames, cue.speaker) : null
+);
+
+/**
+ * Exports a session as SubRip subtitles
+ * 
+ * @param {Object} session - Saved session
+ * @returns {string} SRT document
+ */
+export const toSrt = (session) => buildCues(session.transcript)
+  .map((cue, index) => {
+    const speaker = getCueSpeaker(session.transcript, cue);
+    return [
+      index + 1,
+      `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+      speaker ? `${speaker}: ${cue.text}` : cue.text
+    ].join('\n');
+  })
+  .join('\n\n') + '\n';
+
+/**
+ * Exports a session as WebVTT captions, using voice tags for speakers
+ * 
+ * @param {Object} session - Saved session
+ * @returns {string} WebVTT document
+ */
+export const toVtt = (session) => {
+  const cues = buildCues(session.transcript).map(cue => {
+    const speaker = getCueSpeaker(session.transcript, cue);
+    return [
+      `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+      speaker ? `<v ${speaker}>${cue.text}` : cue.text
+    ].join('\n');
+  });
+  
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+};
+
+/**
+ * Exports a session as plain text, one paragraph per speaker turn when the
+ * session was diarized
+ * 
+ * @param {Object} session - Saved session
+ * @returns {string} Plain text
+ */
+export const toTxt = (session) => {
+  const { transcript } = session;
+  const turns = getSpeakerTurns(transcript.segments);
+  
+  if (turns.length === 0) {
+    return getSegmentsText(transcript.segments) + '\n';
+  }
+  
+  return turns
+    .map(turn => `${getSpeakerLabel(transcript.speakerNames, turn.speaker)}: ${turn.text}`)
+    .join('\n\n') + '\n';
+};
+
+/**
+ * Exports the complete session record without losing any data
+ * 
+ * @param {Object} session - Saved session
+ * @returns {string} Pretty-printed JSON
+ */
+export const toJson = (session) => JSON.stringify(session, null, 2) + '\n';
+
+/**
+ * Exports a session as Markdown with a heading per speaker turn
+ * 
+ * @param {Object} session - Saved session
+ * @returns {string} Markdown document
+ */
+export const toMarkdown = (session) => {
+  const { transcript } = session;
+  const turns = getSpeakerTurns(transcript.segments);
+  
+  const lines = [
+    `# ${session.title}`,
+    '',
+    `- **Date:** ${formatDateTime(session.startedAt)}`,
+    `- **Duration:** ${formatDuration(session.durationMs / 1000)}`,
+    ''
+  ];
+  
+  if (turns.length === 0) {
+    transcript.segments.forEach(segment => {
+      if (segment.transcript.trim()) {
+        lines.push(`**[${formatDuration(segment.start)}]** ${segment.transcript.trim()}`, '');
+      }
+    });
+  } else {
+    turns.forEach(turn => {
+      lines.push(
+        `### ${getSpeakerLabel(transcript.speakerNames, turn.speaker)} [${formatDuration(turn.start)}]`,
+        '',
+        turn.text,
+        ''
+      );
+    });
+  }
+  
+  return lines.join('\n');
+};
+
+const EXPORTERS = {
+  srt: toSrt,
+  vtt: toVtt,
+  txt: toTxt,
+  json: toJson,
+  md: toMarkdown,
+};
+
+/**
+ * Exports a session in the given format
+ * 
+ * @param {Object} session - Saved session
+ * @param {string} format - One of the EXPORT_FORMATS values
+ * @returns {string} Exported document
+ */
+const exportTranscript = (session, format) => {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return exporter(session);
+};
+
+export default exportTranscript;
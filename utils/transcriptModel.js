@@ -0,0 +1,454 @@
+/**
+ * Transcript model built from Deepgram `Results` messages.
+ *
+ * A transcript is an ordered list of committed (final) segments, one per
+ * result, each holding the word-level timings and confidences Deepgram
+ * returns. The latest interim result is kept apart in `pending` so it can be
+ * shown without ever touching committed text. The plain text is always
+ * derived from the segments rather than stored separately. All
+ * functions are pure and return new objects so they can be used directly as
+ * React state updaters.
+ */
+
+/**
+ * Creates an empty transcript
+ *
+ * @returns {Object} Transcript with no segments and no pending interim result
+ */
+export const createTranscript = () => ({
+  segments: [],
+  pending: null,
+  speakerNames: {},
+  speechRegions: [],
+});
+
+/**
+ * Converts a Deepgram word into the transcript word shape
+ *
+ * @param {Object} word - Word object from a Deepgram alternative
+ * @returns {Object} Word with text, timings, confidence and speaker (when diarized)
+ */
+const createWord = (word) => ({
+  word: word.word,
+  punctuatedWord: word.punctuated_word || word.word,
+  start: word.start,
+  end: word.end,
+  confidence: word.confidence,
+  ...(typeof word.speaker === 'number' && {
+    speaker: word.speaker,
+    speakerConfidence: word.speaker_confidence,
+  }),
+  ...(word.language && { language: word.language }),
+});
+
+/**
+ * Creates a segment from a Deepgram `Results` message
+ *
+ * @param {Object} response - Parsed `Results` message
+ * @returns {Object|null} Segment, or null if the message has no alternatives
+ */
+export const createSegment = (response) => {
+  const alternatives = response?.channel?.alternatives || [];
+  if (alternatives.length === 0) {
+    return null;
+  }
+
+  const [best] = alternatives;
+  const start = response.start || 0;
+  const channel = Array.isArray(response.channel_index) ? response.channel_index[0] : 0;
+
+  return {
+    id: `${channel}-${start.toFixed(3)}`,
+    channel,
+    start,
+    end: start + (response.duration || 0),
+    isFinal: !!response.is_final,
+    speechFinal: !!response.speech_final,
+    transcript: best.transcript || '',
+    confidence: best.confidence,
+    words: (best.words || []).map(createWord),
+    languages: best.languages || [],
+    alternatives: alternatives.map(alternative => ({
+      transcript: alternative.transcript,
+      confidence: alternative.confidence,
+    })),
+  };
+};
+
+/**
+ * Builds a transcript from a Deepgram pre-recorded response. Each utterance
+ * becomes a final segment, shaped like the streaming `Results` message for
+ * the same audio so the rest of the app cannot tell them apart. Without
+ * utterances the whole channel becomes one segment.
+ *
+ * @param {Object} response - Pre-recorded response with `metadata` and `results`
+ * @returns {Object} Transcript
+ */
+export const createTranscriptFromPrerecorded = (response) => {
+  const channels = response?.results?.channels || [];
+  const channelCount = channels.length;
+  const toResults = ({ start, end, channel, transcript, confidence, words, language }) => ({
+    type: 'Results',
+    start,
+    duration: end - start,
+    is_final: true,
+    speech_final: true,
+    channel_index: [channel, channelCount],
+    channel: {
+      alternatives: [{
+        transcript,
+        confidence,
+        words,
+        ...(language && { languages: [language] }),
+      }],
+    },
+  });
+
+  let results;
+  const utterances = response?.results?.utterances;
+  if (utterances && utterances.length > 0) {
+    results = utterances.map(utterance => toResults({
+      ...utterance,
+      language: channels[utterance.channel || 0]?.detected_language,
+    }));
+  } else {
+    results = channels.map((channel, index) => {
+      const best = channel.alternatives?.[0] || {};
+      const words = best.words || [];
+      return toResults({
+        start: words.length > 0 ? words[0].start : 0,
+        end: words.length > 0 ? words[words.length - 1].end : response?.metadata?.duration || 0,
+        channel: index,
+        transcript: best.transcript || '',
+        confidence: best.confidence,
+        words,
+        language: channel.detected_language,
+      });
+    });
+  }
+
+  return results
+    .map(createSegment)
+    .sort((a, b) => a.start - b.start)
+    .reduce(addSegment, createTranscript());
+};
+
+/**
+ * Adds a segment to the transcript. Interim segments only replace the pending
+ * buffer. Final segments are committed and clear any pending result they
+ * cover; a final segment that was already committed is replaced rather than
+ * duplicated.
+ *
+ * @param {Object} transcript - Current transcript
+ * @param {Object} segment - Segment to add
+ * @returns {Object} Updated transcript
+ */
+export const addSegment = (transcript, segment) => {
+  if (!segment) {
+    return transcript;
+  }
+
+  if (!segment.isFinal) {
+    return {
+      ...transcript,
+      pending: segment,
+    };
+  }
+
+  let segments = transcript.segments;
+  const { pending } = transcript;
+
+  const existingIndex = segments.findIndex(existing => existing.id === segment.id);
+  if (existingIndex >= 0) {
+    segments = [...segments];
+    segments[existingIndex] = segment;
+  } else {
+    segments = [...segments, segment];
+  }
+
+  return {
+    ...transcript,
+    segments,
+    pending: pending && pending.start < segment.end ? null : pending,
+  };
+};
+
+/**
+ * Opens a speech region where the provider reported that speech started.
+ * Ignored while a region is already open.
+ *
+ * @param {Object} transcript - Current transcript
+ * @param {number} time - Session time the speech started at, in seconds
+ * @returns {Object} Updated transcript
+ */
+export const startSpeechRegion = (transcript, time) => {
+  const regions = transcript.speechRegions || [];
+  const last = regions[regions.length - 1];
+  if (last && last.end === null) {
+    return transcript;
+  }
+
+  return {
+    ...transcript,
+    speechRegions: [...regions, { start: time, end: null }],
+  };
+};
+
+/**
+ * Closes the open speech region, if any
+ *
+ * @param {Object} transcript - Current transcript
+ * @param {number} time - Session time the speech ended at, in seconds
+ * @returns {Object} Updated transcript
+ */
+export const endSpeechRegion = (transcript, time) => {
+  const regions = transcript.speechRegions || [];
+  const last = regions[regions.length - 1];
+  if (!last || last.end !== null) {
+    return transcript;
+  }
+
+  return {
+    ...transcript,
+    speechRegions: [...regions.slice(0, -1), { ...last, end: Math.max(last.start, time) }],
+  };
+};
+
+/**
+ * Drops the pending interim result, e.g. when the stream stops before it
+ * was finalized
+ *
+ * @param {Object} transcript - Current transcript
+ * @returns {Object} Transcript without a pending result
+ */
+export const clearPending = (transcript) => (
+  transcript.pending ? { ...transcript, pending: null } : transcript
+);
+
+/**
+ * Derives the plain text of a list of segments
+ *
+ * @param {Array<Object>} segments - Segments to join
+ * @returns {string} Space separated segment text
+ */
+export const getSegmentsText = (segments) => segments
+  .map(segment => segment.transcript.trim())
+  .filter(Boolean)
+  .join(' ');
+
+/**
+ * Derives the plain text of the committed transcript
+ *
+ * @param {Object} transcript - Transcript to render
+ * @returns {string} Transcript text, without the pending interim result
+ */
+export const getTranscriptText = (transcript) => getSegmentsText(transcript.segments);
+
+/**
+ * Gets the mean confidence of the committed words
+ *
+ * @param {Object} transcript - Transcript to measure
+ * @returns {number|null} Confidence (0-1), or null when there are no words
+ */
+export const getAverageConfidence = (transcript) => {
+  const confidences = transcript.segments
+    .flatMap(segment => segment.words)
+    .map(word => word.confidence)
+    .filter(confidence => typeof confidence === 'number');
+
+  if (confidences.length === 0) {
+    return null;
+  }
+  return confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length;
+};
+
+/**
+ * Derives the text of the pending interim result
+ *
+ * @param {Object} transcript - Transcript to render
+ * @returns {string} Interim text, or an empty string
+ */
+export const getPendingText = (transcript) => (
+  transcript.pending ? transcript.pending.transcript.trim() : ''
+);
+
+/**
+ * Sets a display name for a diarized speaker. An empty name restores the
+ * default "Speaker n" label.
+ *
+ * @param {Object} transcript - Current transcript
+ * @param {number} speaker - Speaker index from Deepgram
+ * @param {string} name - New display name
+ * @returns {Object} Updated transcript
+ */
+export const renameSpeaker = (transcript, speaker, name) => {
+  const speakerNames = { ...transcript.speakerNames };
+  const trimmed = (name || '').trim();
+
+  if (trimmed) {
+    speakerNames[speaker] = trimmed;
+  } else {
+    delete speakerNames[speaker];
+  }
+
+  return {
+    ...transcript,
+    speakerNames,
+  };
+};
+
+/**
+ * Gets the display label for a speaker
+ *
+ * @param {Object} speakerNames - Map of speaker index to custom name
+ * @param {number} speaker - Speaker index from Deepgram
+ * @returns {string} Custom name, or "Speaker n" counting from 1
+ */
+export const getSpeakerLabel = (speakerNames, speaker) => (
+  (speakerNames && speakerNames[speaker]) || `Speaker ${speaker + 1}`
+);
+
+/**
+ * Groups the words of a list of segments into speaker turns. A new turn
+ * starts whenever the speaker changes, even within a segment.
+ *
+ * @param {Array<Object>} segments - Segments to group
+ * @returns {Array<Object>} Turns with speaker, start, end, text and words; empty
+ *   when the segments carry no speaker information
+ */
+export const getSpeakerTurns = (segments) => {
+  const turns = [];
+
+  segments.forEach(segment => {
+    segment.words.forEach(word => {
+      if (typeof word.speaker !== 'number') {
+        return;
+      }
+
+      const current = turns[turns.length - 1];
+      if (current && current.speaker === word.speaker) {
+        current.end = word.end;
+        current.words.push(word);
+      } else {
+        turns.push({
+          speaker: word.speaker,
+          start: word.start,
+          end: word.end,
+          words: [word],
+        });
+      }
+    });
+  });
+
+  return turns.map(turn => ({
+    ...turn,
+    text: turn.words.map(word => word.punctuatedWord).join(' '),
+  }));
+};
+
+/**
+ * Groups segments into paragraphs, starting a new one after each segment
+ * that ended with a pause in speech
+ *
+ * @param {Array<Object>} segments - Segments in time order
+ * @returns {Array<Object>} Paragraphs as { start, segments }
+ */
+export const getParagraphs = (segments) => {
+  const paragraphs = [];
+  let current = null;
+
+  segments.forEach(segment => {
+    if (!current) {
+      current = { start: segment.start, segments: [] };
+      paragraphs.push(current);
+    }
+    current.segments.push(segment);
+    if (segment.speechFinal) {
+      current = null;
+    }
+  });
+
+  return paragraphs;
+};
+
+/**
+ * Finds the word being spoken at a point in time
+ *
+ * @param {Array<Object>} words - Words in time order
+ * @param {number} time - Time in seconds
+ * @returns {number} Index of the word whose start/end span contains the time, or -1
+ */
+export const findWordIndexAt = (words, time) => {
+  let low = 0;
+  let high = words.length - 1;
+
+  // Last word starting at or before the time
+  let index = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (words[middle].start <= time) {
+      index = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return index >= 0 && time < words[index].end ? index : -1;
+};
+
+/**
+ * Splits time-ordered items (segments or speaker turns) at markers such as
+ * pauses and bookmarks. A marker goes after the item it falls in.
+ *
+ * @param {Array<Object>} items - Items with a `start` time
+ * @param {Array<Object>} [markers] - Markers with the session `time` they were placed at
+ * @returns {Array<Object>} Groups as { items, marker }, where `marker` is the marker
+ *   that ends the group, or null for the last group
+ */
+export const splitAtMarkers = (items, markers = []) => {
+  const sorted = [...markers].sort((a, b) => a.time - b.time);
+  const groups = [{ items: [], marker: null }];
+  let next = 0;
+
+  const closeGroup = () => {
+    groups[groups.length - 1].marker = sorted[next];
+    groups.push({ items: [], marker: null });
+    next++;
+  };
+
+  items.forEach(item => {
+    while (next < sorted.length && item.start >= sorted[next].time) {
+      closeGroup();
+    }
+    groups[groups.length - 1].items.push(item);
+  });
+
+  // Markers after the last item are still shown
+  while (next < sorted.length) {
+    closeGroup();
+  }
+
+  return groups;
+};
+
+/**
+ * Gets the language Deepgram most recently detected in multilingual mode
+ *
+ * @param {Object} transcript - Transcript to inspect
+ * @returns {string|null} Language code of the latest result that reported one
+ */
+export const getDetectedLanguage = (transcript) => {
+  const candidates = transcript.pending
+    ? [...transcript.segments, transcript.pending]
+    : transcript.segments;
+
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const { languages } = candidates[i];
+    if (languages && languages.length > 0) {
+      return languages[0];
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,67 @@
+/**
+ * Languages offered in the options panel. `multi` asks Deepgram to detect
+ * and switch between languages on its own.
+ */
+export const LANGUAGES = [
+  { value: 'multi', label: 'Auto-detect' },
+  { value: 'en-US', label: 'English (US)' },
+  { value: 'en-GB', label: 'English (UK)' },
+  { value: 'es', label: 'Spanish' },
+  { value: 'fr', label: 'French' },
+  { value: 'de', label: 'German' },
+];
+
+/**
+ * Streaming models offered in the options panel with the languages each
+ * one supports
+ */
+export const MODELS = [
+  { value: 'nova-3', label: 'Nova-3', languages: ['multi', 'en-US', 'en-GB', 'es', 'fr', 'de'] },
+  { value: 'nova-2', label: 'Nova-2', languages: ['multi', 'en-US', 'en-GB', 'es', 'fr', 'de'] },
+  { value: 'enhanced', label: 'Enhanced', languages: ['en-US', 'es', 'fr'] },
+  { value: 'base', label: 'Base', languages: ['en-US', 'en-GB', 'es', 'fr', 'de'] },
+];
+
+export const DEFAULT_MODEL = 'nova-3';
+export const DEFAULT_LANGUAGE = 'en-US';
+
+/**
+ * Gets the languages a model supports
+ * 
+ * @param {string} model - Model identifier
+ * @returns {Array<Object>} Language options supported by the model
+ */
+export const getLanguagesForModel = (model) => {
+  const definition = MODELS.find(option => option.value === model);
+  if (!definition) {
+    return LANGUAGES;
+  }
+  return LANGUAGES.filter(language => definition.languages.includes(language.value));
+};
+
+/**
+ * Checks whether a model supports a language
+ * 
+ * @param {string} model - Model identifier
+ * @param {string} language - Language code
+ * @returns {boolean} Whether the combination is valid
+ */
+export const isLanguageSupported = (model, language) => (
+  getLanguagesForModel(model).some(option => option.value === language)
+);
+
+/**
+ * Gets a readable name for a language code reported by Deepgram
+ * 
+ * @param {string} code - Language code such as `es` or `en-US`
+ * @returns {string} Language label, or the code itself when unknown
+ */
+export const getLanguageLabel = (code) => {
+  const exact = LANGUAGES.find(option => option.value === code);
+  if (exact) {
+    return exact.label;
+  }
+  
+  const base = LANGUAGES.find(option => option.value.split('-')[0] === code.split('-')[0]);
+  return base ? base.label.replace(/ \(.*\)$/, '') : code;
+};
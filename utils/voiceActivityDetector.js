@@ -0,0 +1,167 @@
+/**
+ * Default voice activity settings. The hangover is longer than the 800 ms
+ * Deepgram endpointing window so it still hears the pause that ends an
+ * utterance before the gate closes.
+ */
+export const DEFAULT_VAD_SETTINGS = {
+  enabled: false,
+  thresholdDb: -45,
+  hangoverMs: 1000,
+  preRollMs: 300,
+};
+
+// Choices offered in the options panel
+export const VAD_THRESHOLDS = [
+  { value: -55, label: 'Sensitive (-55 dB)' },
+  { value: -45, label: 'Normal (-45 dB)' },
+  { value: -35, label: 'Noisy room (-35 dB)' },
+];
+
+export const VAD_HANGOVERS = [
+  { value: 1000, label: '1 s' },
+  { value: 2000, label: '2 s' },
+  { value: 3000, label: '3 s' },
+];
+
+export const VAD_PRE_ROLLS = [
+  { value: 200, label: '200 ms' },
+  { value: 300, label: '300 ms' },
+  { value: 500, label: '500 ms' },
+];
+
+// Frames crossing zero more often than this are treated as hiss, not speech
+const MAX_SPEECH_ZERO_CROSSING_RATE = 0.35;
+// ...unless they are this much louder than the threshold (loud fricatives)
+const LOUD_MARGIN_DB = 10;
+
+/**
+ * Measures the level and zero-crossing rate of a linear16 frame
+ *
+ * @param {Uint8Array} frame - Mono little-endian 16-bit PCM
+ * @returns {Object} { levelDb, zeroCrossingRate }
+ */
+export const analyzeFrame = (frame) => {
+  const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+  const sampleCount = Math.floor(frame.byteLength / 2);
+  let sumOfSquares = 0;
+  let crossings = 0;
+  let previous = 0;
+
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = view.getInt16(i * 2, true) / 32768;
+    sumOfSquares += sample * sample;
+    if (i > 0 && (sample >= 0) !== (previous >= 0)) {
+      crossings++;
+    }
+    previous = sample;
+  }
+
+  const rms = sampleCount > 0 ? Math.sqrt(sumOfSquares / sampleCount) : 0;
+
+  return {
+    levelDb: rms > 0 ? 20 * Math.log10(rms) : -Infinity,
+    zeroCrossingRate: sampleCount > 1 ? crossings / (sampleCount - 1) : 0,
+  };
+};
+
+/**
+ * Energy and zero-crossing voice activity detector that gates a stream of
+ * fixed-size frames.
+ *
+ * Frames are passed through while speech is detected and for a hangover
+ * period after it. While the gate is closed the most recent frames are held
+ * as pre-roll and sent ahead of the frame that opens the gate, so the start
+ * of a word is not clipped.
+ */
+class VoiceActivityDetector {
+  /**
+   * Creates a new VoiceActivityDetector
+   *
+   * @param {Object} config - Configuration options
+   * @param {number} config.frameDurationMs - Duration of each frame
+   * @param {number} [config.thresholdDb=-45] - Level in dBFS above which a frame may be speech
+   * @param {number} [config.hangoverMs=1000] - How long to keep sending after speech stops
+   * @param {number} [config.preRollMs=300] - Audio to send from before speech starts
+   */
+  constructor({
+    frameDurationMs,
+    thresholdDb = DEFAULT_VAD_SETTINGS.thresholdDb,
+    hangoverMs = DEFAULT_VAD_SETTINGS.hangoverMs,
+    preRollMs = DEFAULT_VAD_SETTINGS.preRollMs
+  }) {
+    this.frameDurationMs = frameDurationMs;
+    this.thresholdDb = thresholdDb;
+    this.hangoverFrames = Math.ceil(hangoverMs / frameDurationMs);
+    this.preRollFrames = Math.ceil(preRollMs / frameDurationMs);
+
+    this.isOpen = false;
+    this.hangoverRemaining = 0;
+    this.preRoll = [];
+    this.totalFrames = 0;
+    this.sentFrames = 0;
+  }
+
+  /**
+   * Whether a frame sounds like speech
+   *
+   * @param {Uint8Array} frame - Mono linear16 frame
+   * @returns {boolean} Whether the frame is voiced
+   */
+  isSpeech(frame) {
+    const { levelDb, zeroCrossingRate } = analyzeFrame(frame);
+
+    if (levelDb < this.thresholdDb) {
+      return false;
+    }
+    return zeroCrossingRate <= MAX_SPEECH_ZERO_CROSSING_RATE || levelDb >= this.thresholdDb + LOUD_MARGIN_DB;
+  }
+
+  /**
+   * Runs one frame through the gate
+   *
+   * @param {Uint8Array} frame - Mono linear16 frame
+   * @param {number} sequence - Sequence number of the frame
+   * @returns {Array<Object>} Frames to send now as { frame, sequence }, oldest
+   *   first; empty while the gate is closed
+   */
+  process(frame, sequence) {
+    this.totalFrames++;
+
+    let forwarded = [];
+    if (this.isSpeech(frame)) {
+      forwarded = this.isOpen ? [{ frame, sequence }] : [...this.preRoll, { frame, sequence }];
+      this.isOpen = true;
+      this.hangoverRemaining = this.hangoverFrames;
+      this.preRoll = [];
+    } else if (this.isOpen && this.hangoverRemaining > 0) {
+      this.hangoverRemaining--;
+      forwarded = [{ frame, sequence }];
+    } else {
+      this.isOpen = false;
+      this.preRoll.push({ frame, sequence });
+      if (this.preRoll.length > this.preRollFrames) {
+        this.preRoll.shift();
+      }
+    }
+
+    this.sentFrames += forwarded.length;
+    return forwarded;
+  }
+
+  /**
+   * Gets how much audio the gate has let through
+   *
+   * @returns {Object} { capturedSeconds, sentSeconds, skippedSeconds }
+   */
+  getStats() {
+    const seconds = frames => frames * this.frameDurationMs / 1000;
+
+    return {
+      capturedSeconds: seconds(this.totalFrames),
+      sentSeconds: seconds(this.sentFrames),
+      skippedSeconds: seconds(this.totalFrames - this.sentFrames),
+    };
+  }
+}
+
+export default VoiceActivityDetector;
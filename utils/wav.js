@@ -0,0 +1,226 @@
+import { WavParseError } from './audioErrors';
+
+/**
+ * Helpers for reading and writing RIFF/WAVE audio files
+ */
+
+export const WAV_HEADER_SIZE = 44;
+
+// `fmt ` format codes
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_ALAW = 0x0006;
+const WAVE_FORMAT_MULAW = 0x0007;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// 32-bit sizes that mean "see the ds64 chunk" (RF64) or "unknown, read to the end"
+const SIZE_PLACEHOLDER = 0xFFFFFFFF;
+
+/**
+ * Writes an ASCII tag into a DataView
+ * 
+ * @param {DataView} view - Target view
+ * @param {number} offset - Byte offset
+ * @param {string} tag - Four character tag
+ */
+const writeTag = (view, offset, tag) => {
+  for (let i = 0; i < tag.length; i++) {
+    view.setUint8(offset + i, tag.charCodeAt(i));
+  }
+};
+
+/**
+ * Creates a canonical 44-byte header for a PCM WAV file
+ * 
+ * @param {Object} format - Audio format
+ * @param {number} format.dataLength - Size of the PCM data in bytes
+ * @param {number} format.sampleRate - Samples per second
+ * @param {number} format.channels - Number of channels
+ * @param {number} format.bitsPerSample - Bits per sample
+ * @returns {Uint8Array} Header bytes
+ */
+export const createWavHeader = ({ dataLength, sampleRate, channels, bitsPerSample }) => {
+  const header = new ArrayBuffer(WAV_HEADER_SIZE);
+  const view = new DataView(header);
+  const blockAlign = channels * (bitsPerSample / 8);
+  
+  writeTag(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeTag(view, 8, 'WAVE');
+  
+  writeTag(view, 12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); // byte rate
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitsPerSample, true);
+  
+  writeTag(view, 36, 'data');
+  view.setUint32(40, dataLength, true);
+  
+  return new Uint8Array(header);
+};
+
+/**
+ * Reads a four character ASCII tag
+ * 
+ * @param {DataView} view - Source view
+ * @param {number} offset - Byte offset
+ * @returns {string} Tag
+ */
+const readTag = (view, offset) => String.fromCharCode(
+  view.getUint8(offset),
+  view.getUint8(offset + 1),
+  view.getUint8(offset + 2),
+  view.getUint8(offset + 3)
+);
+
+/**
+ * Reads an unsigned little-endian 64-bit size. Sizes past 2^53 cannot occur
+ * for files that fit in memory, so a plain number is enough.
+ * 
+ * @param {DataView} view - Source view
+ * @param {number} offset - Byte offset
+ * @returns {number} Size in bytes
+ */
+const readUint64 = (view, offset) => (
+  view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32
+);
+
+/**
+ * Gets the encoding name for a `fmt ` format code, using Deepgram's names
+ * where one exists
+ * 
+ * @param {number} formatCode - Format code (after resolving WAVE_FORMAT_EXTENSIBLE)
+ * @param {number} bitsPerSample - Bits per sample
+ * @returns {string} Encoding, e.g. `linear16` or `float32`
+ */
+const getEncoding = (formatCode, bitsPerSample) => {
+  switch (formatCode) {
+    case WAVE_FORMAT_PCM: return `linear${bitsPerSample}`;
+    case WAVE_FORMAT_IEEE_FLOAT: return `float${bitsPerSample}`;
+    case WAVE_FORMAT_ALAW: return 'alaw';
+    case WAVE_FORMAT_MULAW: return 'mulaw';
+    default: return `format 0x${formatCode.toString(16)}`;
+  }
+};
+
+/**
+ * Parses the body of a `fmt ` chunk
+ * 
+ * @param {DataView} view - Source view
+ * @param {number} offset - Offset of the chunk body
+ * @param {number} size - Size of the chunk body
+ * @returns {Object} Format with encoding, formatCode, sampleRate, channels,
+ *   bitsPerSample and blockAlign
+ */
+const parseFormatChunk = (view, offset, size) => {
+  if (size < 16) {
+    throw new WavParseError(`fmt chunk is too short (${size} bytes)`);
+  }
+  
+  let formatCode = view.getUint16(offset, true);
+  const channels = view.getUint16(offset + 2, true);
+  const sampleRate = view.getUint32(offset + 4, true);
+  const blockAlign = view.getUint16(offset + 12, true);
+  const bitsPerSample = view.getUint16(offset + 14, true);
+  
+  // The real format code is the first two bytes of the sub-format GUID
+  if (formatCode === WAVE_FORMAT_EXTENSIBLE) {
+    if (size < 40) {
+      throw new WavParseError(`Extensible fmt chunk is too short (${size} bytes)`);
+    }
+    formatCode = view.getUint16(offset + 24, true);
+  }
+  
+  if (channels === 0 || sampleRate === 0 || bitsPerSample === 0) {
+    throw new WavParseError('fmt chunk has a zero channel count, sample rate or bit depth');
+  }
+  
+  return {
+    encoding: getEncoding(formatCode, bitsPerSample),
+    formatCode,
+    sampleRate,
+    channels,
+    bitsPerSample,
+    blockAlign,
+  };
+};
+
+/**
+ * Parses a RIFF/WAVE (or RF64/BW64) file by walking its chunks instead of
+ * assuming a fixed 44-byte header. `LIST`, `FLLR`, `JUNK` and any other
+ * chunks are skipped, and a `data` size left at 0 or 0xFFFFFFFF by a
+ * recorder that never rewrote its header means "until the end of the file".
+ * 
+ * @param {Uint8Array} bytes - Complete file contents
+ * @returns {Object} { format, dataOffset, dataLength }
+ * @throws {WavParseError} When the file is not a WAV file or is missing its fmt or data chunk
+ */
+export const parseWav = (bytes) => {
+  if (!bytes || bytes.length < 12) {
+    throw new WavParseError(`File is too short to be a WAV file (${bytes ? bytes.length : 0} bytes)`);
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const riffId = readTag(view, 0);
+  
+  if (riffId !== 'RIFF' && riffId !== 'RF64' && riffId !== 'BW64') {
+    throw new WavParseError(`Not a RIFF file (found "${riffId}")`);
+  }
+  
+  if (readTag(view, 8) !== 'WAVE') {
+    throw new WavParseError(`Not a WAVE file (found "${readTag(view, 8)}")`);
+  }
+  
+  let format = null;
+  let ds64DataSize = null;
+  let offset = 12;
+  
+  while (offset + 8 <= bytes.length) {
+    const chunkId = readTag(view, offset);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const bodyOffset = offset + 8;
+    const available = bytes.length - bodyOffset;
+    
+    if (chunkId === 'ds64') {
+      if (chunkSize < 24 || available < 24) {
+        throw new WavParseError('ds64 chunk is too short');
+      }
+      ds64DataSize = readUint64(view, bodyOffset + 8);
+    } else if (chunkId === 'fmt ') {
+      if (chunkSize > available) {
+        throw new WavParseError('fmt chunk is truncated');
+      }
+      format = parseFormatChunk(view, bodyOffset, chunkSize);
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new WavParseError('data chunk found before fmt chunk');
+      }
+      
+      let dataLength = chunkSize;
+      if (chunkSize === SIZE_PLACEHOLDER && ds64DataSize !== null) {
+        dataLength = ds64DataSize;
+      } else if (chunkSize === 0 || chunkSize === SIZE_PLACEHOLDER) {
+        dataLength = available;
+      }
+      
+      // A file that is still being written may be shorter than its header claims
+      dataLength = Math.min(dataLength, available);
+      
+      // Never hand out a partial sample frame
+      if (format.blockAlign > 0) {
+        dataLength -= dataLength % format.blockAlign;
+      }
+      
+      return { format, dataOffset: bodyOffset, dataLength };
+    }
+    
+    // Chunks are padded to an even number of bytes
+    offset = bodyOffset + chunkSize + (chunkSize % 2);
+  }
+  
+  throw new WavParseError(format ? 'No data chunk found' : 'No fmt chunk found');
+};
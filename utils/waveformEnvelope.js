@@ -0,0 +1,102 @@
+// Most points an envelope keeps; 20 minutes at 100 ms before it first coarsens
+export const MAX_ENVELOPE_POINTS = 12000;
+
+/**
+ * Level envelope of a whole session, kept at a bounded size.
+ *
+ * Levels are pushed at a fixed interval. Each point holds the loudest level
+ * of its bucket, so peaks survive downsampling. Once there are more than
+ * `maxPoints` points, neighbouring pairs are merged and the bucket doubles in
+ * length, so memory stays bounded however long the session runs.
+ */
+class WaveformEnvelope {
+  /**
+   * Creates a new WaveformEnvelope
+   *
+   * @param {Object} config - Configuration options
+   * @param {number} config.intervalSeconds - Time between pushed levels
+   * @param {number} [config.maxPoints] - Most points to keep before merging pairs
+   */
+  constructor({ intervalSeconds, maxPoints = MAX_ENVELOPE_POINTS }) {
+    this.intervalSeconds = intervalSeconds;
+    this.maxPoints = maxPoints;
+    this.levelsPerPoint = 1;
+    this.values = [];
+    // Number of points completed so far, so readers can tell when there is more to show
+    this.completedPoints = 0;
+
+    // Bucket still being filled
+    this.pending = 0;
+    this.pendingCount = 0;
+  }
+
+  /**
+   * Adds the next level
+   *
+   * @param {number} level - Level on a 0-1 scale
+   */
+  push(level) {
+    this.pending = Math.max(this.pending, level);
+    this.pendingCount++;
+
+    if (this.pendingCount < this.levelsPerPoint) {
+      return;
+    }
+
+    this.values.push(this.pending);
+    this.completedPoints++;
+    this.pending = 0;
+    this.pendingCount = 0;
+
+    if (this.values.length > this.maxPoints) {
+      this.coarsen();
+    }
+  }
+
+  /**
+   * Halves the resolution by merging neighbouring points
+   */
+  coarsen() {
+    const merged = [];
+    for (let i = 0; i < this.values.length; i += 2) {
+      merged.push(Math.max(this.values[i], i + 1 < this.values.length ? this.values[i + 1] : 0));
+    }
+
+    // An odd point out becomes the start of the pending bucket
+    if (this.values.length % 2 === 1) {
+      const odd = merged.pop();
+      this.pending = Math.max(this.pending, odd);
+      this.pendingCount += this.levelsPerPoint;
+    }
+
+    this.values = merged;
+    this.levelsPerPoint *= 2;
+  }
+
+  /**
+   * Gets the envelope in the shape saved with a session
+   *
+   * @returns {Object} { bucketSeconds, values } with levels rounded to two decimals
+   */
+  toJSON() {
+    const values = this.pendingCount > 0 ? [...this.values, this.pending] : this.values;
+
+    return {
+      bucketSeconds: this.intervalSeconds * this.levelsPerPoint,
+      values: values.map(value => Math.round(value * 100) / 100),
+    };
+  }
+}
+
+/**
+ * Reads a saved envelope. Sessions without one, such as imported files, get
+ * an empty envelope.
+ *
+ * @param {Object} [saved] - Saved envelope as { bucketSeconds, values }
+ * @returns {Object} { bucketSeconds, values }
+ */
+export const readEnvelope = saved => (
+  saved && Array.isArray(saved.values) ? saved : { bucketSeconds: 0.1, values: [] }
+);
+
+export default WaveformEnvelope;